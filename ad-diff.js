@@ -0,0 +1,263 @@
+const fs = require('fs').promises;
+const { getAssetKey } = require('./media-index');
+const { openAdHistory, CONFIG: HISTORY_CONFIG } = require('./ad-history');
+
+/**
+ * Lit les résultats d'un fichier de scraping (commande scrape ou pipeline)
+ * @param {string} file - Fichier JSON de résultats
+ * @returns {Promise<Object[]>} Résultats par page
+ */
+async function loadRunResults(file) {
+  const data = JSON.parse(await fs.readFile(file, 'utf8'));
+  const results = data.results || (data.scraping && data.scraping.results);
+  if (!Array.isArray(results)) {
+    throw new Error(`Fichier de résultats de scraping invalide: ${file}`);
+  }
+  return results;
+}
+
+/**
+ * Indexe les médias téléchargeables d'une annonce par clé d'asset
+ * La clé ne dépend pas de la signature de l'URL, renouvelée à chaque scraping.
+ * @param {string[]} urls - URLs des médias
+ * @returns {Map<string, string>} URL par clé d'asset
+ */
+function indexMedia(urls) {
+  const media = new Map();
+  urls.filter(url => /^https?:/.test(url)).forEach(url => {
+    try {
+      media.set(getAssetKey(url), url);
+    } catch (error) {
+      // URL non analysable, ignorée
+    }
+  });
+  return media;
+}
+
+/**
+ * Construit l'état des recherches d'un run: annonces trouvées par requête
+ * @param {Object[]} results - Résultats de scraping
+ * @returns {Map<string, Object>} { at, ads } par URL de recherche
+ */
+function snapshotFromResults(results) {
+  const snapshot = new Map();
+
+  results.filter(r => r && r.success).forEach(result => {
+    const ads = new Map();
+    result.ads.filter(ad => ad.libraryId).forEach(ad => {
+      ads.set(ad.libraryId, {
+        libraryId: ad.libraryId,
+        advertiser: ad.advertiser,
+        text: ad.text || null,
+        isActive: ad.isActive,
+        media: indexMedia(ad.media.map(item => item.url))
+      });
+    });
+    snapshot.set(result.url, { at: result.timestamp, ads });
+  });
+
+  return snapshot;
+}
+
+/**
+ * Construit, depuis l'historique, l'état des recherches lors de leur dernier passage
+ * @param {Object} history - Historique ouvert avec openAdHistory
+ * @param {string[]} queries - URLs de recherche à reconstituer
+ * @returns {Map<string, Object>} { at, ads } par URL de recherche
+ */
+function snapshotFromHistory(history, queries) {
+  const snapshot = new Map();
+  const known = history.getAds();
+
+  queries.forEach(query => {
+    const seen = known.filter(ad => ad.lastSeenByQuery && ad.lastSeenByQuery[query]);
+    if (seen.length === 0) return;
+
+    // Dernier passage: les annonces d'un même scraping partagent sa date
+    const at = seen.map(ad => ad.lastSeenByQuery[query]).sort().pop();
+    const ads = new Map();
+    seen.filter(ad => ad.lastSeenByQuery[query] === at).forEach(ad => {
+      const state = ad.lastStateByQuery[query];
+      ads.set(ad.libraryId, {
+        libraryId: ad.libraryId,
+        advertiser: ad.advertiser,
+        text: ad.text || null,
+        isActive: state.isActive,
+        media: indexMedia(state.media)
+      });
+    });
+    snapshot.set(query, { at, ads });
+  });
+
+  return snapshot;
+}
+
+/**
+ * Résume une annonce pour le rapport
+ * @param {Object} ad - Annonce d'un état
+ * @returns {Object} { libraryId, advertiser, text }
+ */
+function describeAd(ad) {
+  return {
+    libraryId: ad.libraryId,
+    advertiser: (ad.advertiser && ad.advertiser.name) || null,
+    text: ad.text ? ad.text.slice(0, 120) : null
+  };
+}
+
+/**
+ * Compare deux états de recherches, requête par requête
+ * - nouvelles annonces: absentes du passage précédent
+ * - annonces arrêtées: absentes du nouveau passage, ou devenues inactives
+ * - créatives modifiées: même annonce, médias ajoutés ou retirés
+ * @param {Map<string, Object>} previous - État précédent
+ * @param {Map<string, Object>} current - État courant
+ * @returns {Object} Différences ({ summary, queries })
+ */
+function diffSnapshots(previous, current) {
+  const queries = [];
+
+  current.forEach((now, query) => {
+    const before = previous.get(query);
+    if (!before) return;
+
+    const newAds = [];
+    const stoppedAds = [];
+    const changedCreatives = [];
+
+    now.ads.forEach((ad, libraryId) => {
+      const old = before.ads.get(libraryId);
+      if (!old) {
+        newAds.push(describeAd(ad));
+        return;
+      }
+      if (old.isActive !== false && ad.isActive === false) {
+        stoppedAds.push({ ...describeAd(ad), reason: 'inactive' });
+      }
+
+      const added = [...ad.media.keys()].filter(key => !old.media.has(key)).map(key => ad.media.get(key));
+      const removed = [...old.media.keys()].filter(key => !ad.media.has(key)).map(key => old.media.get(key));
+      if (added.length > 0 || removed.length > 0) {
+        changedCreatives.push({ ...describeAd(ad), added, removed });
+      }
+    });
+
+    before.ads.forEach((ad, libraryId) => {
+      if (!now.ads.has(libraryId)) stoppedAds.push({ ...describeAd(ad), reason: 'absent' });
+    });
+
+    queries.push({
+      query,
+      previousAt: before.at,
+      currentAt: now.at,
+      previousAds: before.ads.size,
+      currentAds: now.ads.size,
+      newAds,
+      stoppedAds,
+      changedCreatives
+    });
+  });
+
+  const total = (field) => queries.reduce((sum, q) => sum + q[field].length, 0);
+  return {
+    summary: {
+      comparedQueries: queries.length,
+      onlyInPrevious: [...previous.keys()].filter(query => !current.has(query)),
+      onlyInCurrent: [...current.keys()].filter(query => !previous.has(query)),
+      newAds: total('newAds'),
+      stoppedAds: total('stoppedAds'),
+      changedCreatives: total('changedCreatives'),
+      timestamp: new Date().toISOString()
+    },
+    queries
+  };
+}
+
+/**
+ * Compare deux fichiers de résultats de scraping
+ * @param {string} previousFile - Run de référence
+ * @param {string} currentFile - Run à comparer
+ * @returns {Promise<Object>} Différences (voir diffSnapshots)
+ */
+async function diffRuns(previousFile, currentFile) {
+  const previous = snapshotFromResults(await loadRunResults(previousFile));
+  const current = snapshotFromResults(await loadRunResults(currentFile));
+  const diff = diffSnapshots(previous, current);
+  diff.summary = { previous: previousFile, current: currentFile, ...diff.summary };
+  return diff;
+}
+
+/**
+ * Compare un fichier de résultats avec l'historique antérieur à ce run
+ * @param {string} currentFile - Run à comparer
+ * @param {string} historyFile - Fichier d'historique (défaut: celui de ad-history.js)
+ * @returns {Promise<Object>} Différences (voir diffSnapshots)
+ */
+async function diffAgainstHistory(currentFile, historyFile = HISTORY_CONFIG.HISTORY_FILE) {
+  const current = snapshotFromResults(await loadRunResults(currentFile));
+  const firstAt = [...current.values()].map(q => q.at).sort()[0];
+
+  // Le run est déjà dans l'historique s'il a été enregistré: seul l'état antérieur compte
+  const history = await openAdHistory(historyFile, { before: firstAt });
+  const previous = snapshotFromHistory(history, [...current.keys()]);
+  const diff = diffSnapshots(previous, current);
+  diff.summary = { previous: historyFile, current: currentFile, ...diff.summary };
+  return diff;
+}
+
+/**
+ * Met en forme des différences en rapport lisible (Markdown)
+ * @param {Object} diff - Différences (voir diffSnapshots)
+ * @returns {string} Rapport
+ */
+function formatDiffReport(diff) {
+  const { summary } = diff;
+  const adLine = (ad) => `- ${ad.libraryId}${ad.advertiser ? ` · ${ad.advertiser}` : ''}${ad.text ? ` · ${ad.text.replace(/\s+/g, ' ')}` : ''}`;
+  const lines = [
+    '# Changements entre deux scrapings',
+    '',
+    `- Référence: ${summary.previous}`,
+    `- Comparé: ${summary.current}`,
+    `- Recherches comparées: ${summary.comparedQueries}`,
+    `- Nouvelles annonces: ${summary.newAds} · Arrêtées: ${summary.stoppedAds} · Créatives modifiées: ${summary.changedCreatives}`
+  ];
+  if (summary.onlyInCurrent.length > 0) {
+    lines.push(`- Recherches sans passage précédent: ${summary.onlyInCurrent.length}`);
+  }
+
+  diff.queries.forEach(q => {
+    lines.push('', `## ${q.query}`, '', `${q.previousAds} → ${q.currentAds} annonces (${q.previousAt} → ${q.currentAt})`);
+
+    if (q.newAds.length > 0) {
+      lines.push('', `### Nouvelles annonces (${q.newAds.length})`, ...q.newAds.map(adLine));
+    }
+    if (q.stoppedAds.length > 0) {
+      lines.push('', `### Annonces arrêtées (${q.stoppedAds.length})`,
+        ...q.stoppedAds.map(ad => `${adLine(ad)} (${ad.reason === 'inactive' ? 'devenue inactive' : 'plus affichée'})`));
+    }
+    if (q.changedCreatives.length > 0) {
+      lines.push('', `### Créatives modifiées (${q.changedCreatives.length})`);
+      q.changedCreatives.forEach(ad => {
+        lines.push(adLine(ad));
+        ad.added.forEach(url => lines.push(`  - + ${url}`));
+        ad.removed.forEach(url => lines.push(`  - − ${url}`));
+      });
+    }
+    if (q.newAds.length + q.stoppedAds.length + q.changedCreatives.length === 0) {
+      lines.push('', 'Aucun changement.');
+    }
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  loadRunResults,
+  snapshotFromResults,
+  snapshotFromHistory,
+  diffSnapshots,
+  diffRuns,
+  diffAgainstHistory,
+  formatDiffReport
+};
@@ -0,0 +1,264 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getAssetKey } = require('./media-index');
+
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Historique des annonces et créatives vues (une observation par ligne, jamais réécrit)
+  HISTORY_FILE: path.join(process.cwd(), 'history', 'ads.ndjson'),
+
+  // Durée de diffusion à partir de laquelle une annonce est considérée gagnante (en jours)
+  LONG_RUNNING_DAYS: 30
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ajoute une valeur à une liste si elle n'y est pas déjà
+ * @param {Array} list - Liste modifiée sur place
+ * @param {*} value - Valeur à ajouter
+ */
+function addUnique(list, value) {
+  if (value && !list.includes(value)) list.push(value);
+}
+
+/**
+ * Calcule la durée de diffusion connue d'une annonce (en jours)
+ * Début: date de lancement annoncée par l'Ad Library ou, à défaut, première
+ * observation. Fin: date de fin d'une annonce inactive ou dernière observation.
+ * @param {Object} ad - Annonce de l'historique
+ * @returns {number} Nombre de jours entiers
+ */
+function getRunningDays(ad) {
+  const starts = [Date.parse(ad.firstSeen), Date.parse(ad.startDate)].filter(time => !Number.isNaN(time));
+  const endDate = ad.isActive === false ? Date.parse(ad.endDate) : NaN;
+  const end = Number.isNaN(endDate) ? Date.parse(ad.lastSeen) : endDate;
+  return Math.max(0, Math.floor((end - Math.min(...starts)) / DAY_MS));
+}
+
+/**
+ * Transforme les résultats d'un scraping en observations à ajouter à l'historique
+ * La date d'observation est celle du résultat: un résultat repris du journal d'un
+ * job interrompu garde sa date et n'est enregistré qu'une fois (voir getSightingKey).
+ * @param {Object[]} results - Résultats de extractCreativeSrc
+ * @returns {Object[]} Observations ({ kind: 'ad' | 'creative', ... })
+ */
+function buildSightings(results) {
+  const sightings = [];
+
+  results.filter(r => r && r.success).forEach(result => {
+    const seenAt = result.timestamp;
+    const query = result.url;
+
+    result.ads.filter(ad => ad.libraryId).forEach(ad => {
+      sightings.push({
+        kind: 'ad',
+        libraryId: ad.libraryId,
+        seenAt,
+        query,
+        advertiser: ad.advertiser,
+        startDate: ad.startDate || null,
+        endDate: ad.endDate || null,
+        isActive: ad.isActive,
+        platforms: ad.platforms || [],
+        text: ad.text || null,
+        media: ad.media.map(item => item.url)
+      });
+
+      ad.media.filter(item => /^https?:/.test(item.url)).forEach(item => {
+        sightings.push({
+          kind: 'creative',
+          key: getAssetKey(item.url),
+          url: item.url,
+          type: item.type,
+          libraryId: ad.libraryId,
+          seenAt,
+          query
+        });
+      });
+    });
+  });
+
+  return sightings;
+}
+
+/**
+ * Identifie une observation: la même annonce (ou créative) vue par la même
+ * recherche à la même date n'est comptée qu'une fois
+ * @param {Object} sighting - Observation
+ * @returns {string}
+ */
+function getSightingKey(sighting) {
+  const id = sighting.kind === 'ad' ? sighting.libraryId : `${sighting.key}|${sighting.libraryId}`;
+  return `${sighting.kind}|${id}|${sighting.query}|${sighting.seenAt}`;
+}
+
+/**
+ * Charge l'historique des annonces (les observations sont regroupées par annonce et par créative)
+ * @param {string} file - Fichier d'historique (défaut: CONFIG.HISTORY_FILE)
+ * @param {Object} options - Options
+ * @param {string} options.before - Ignore les observations à partir de cette date ISO (état antérieur à un run)
+ * @returns {Promise<Object>} Historique ({ file, record, getAd, getAds, getCreatives, findLongRunning })
+ */
+async function openAdHistory(file = CONFIG.HISTORY_FILE, options = {}) {
+  const ads = new Map();
+  const creatives = new Map();
+  const recorded = new Set();
+
+  /**
+   * Intègre une observation aux annonces et créatives connues
+   */
+  const apply = (sighting) => {
+    const sightingKey = getSightingKey(sighting);
+    if (recorded.has(sightingKey)) return;
+    recorded.add(sightingKey);
+    if (options.before && sighting.seenAt >= options.before) return;
+
+    if (sighting.kind === 'ad') {
+      const ad = ads.get(sighting.libraryId) || {
+        libraryId: sighting.libraryId,
+        firstSeen: sighting.seenAt,
+        lastSeen: sighting.seenAt,
+        sightings: 0,
+        queries: [],
+        lastSeenByQuery: {},
+        lastStateByQuery: {},
+        media: []
+      };
+      ad.sightings++;
+      if (sighting.seenAt < ad.firstSeen) ad.firstSeen = sighting.seenAt;
+      if (sighting.seenAt >= ad.lastSeen) {
+        // Dernier état connu de l'annonce (médias compris)
+        ad.lastSeen = sighting.seenAt;
+        ad.advertiser = sighting.advertiser;
+        ad.isActive = sighting.isActive;
+        ad.endDate = sighting.endDate;
+        ad.platforms = sighting.platforms;
+        ad.text = sighting.text;
+        ad.media = sighting.media;
+      }
+      ad.startDate = ad.startDate || sighting.startDate;
+      addUnique(ad.queries, sighting.query);
+      if (!(ad.lastSeenByQuery[sighting.query] >= sighting.seenAt)) {
+        // État vu par cette recherche: une autre recherche a pu voir l'annonce depuis
+        ad.lastSeenByQuery[sighting.query] = sighting.seenAt;
+        ad.lastStateByQuery[sighting.query] = { isActive: sighting.isActive, media: sighting.media };
+      }
+      ads.set(ad.libraryId, ad);
+    } else if (sighting.kind === 'creative') {
+      const creative = creatives.get(sighting.key) || {
+        key: sighting.key,
+        type: sighting.type,
+        firstSeen: sighting.seenAt,
+        lastSeen: sighting.seenAt,
+        sightings: 0,
+        libraryIds: [],
+        queries: []
+      };
+      creative.sightings++;
+      if (sighting.seenAt < creative.firstSeen) creative.firstSeen = sighting.seenAt;
+      if (sighting.seenAt >= creative.lastSeen) {
+        creative.lastSeen = sighting.seenAt;
+        creative.url = sighting.url;
+      }
+      addUnique(creative.libraryIds, sighting.libraryId);
+      addUnique(creative.queries, sighting.query);
+      creatives.set(creative.key, creative);
+    }
+  };
+
+  try {
+    const content = await fs.readFile(file, 'utf8');
+    content.split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        apply(JSON.parse(line));
+      } catch (error) {
+        // Ligne incomplète (écriture interrompue)
+      }
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const withRunningDays = (ad) => ({ ...ad, runningDays: getRunningDays(ad) });
+
+  return {
+    file,
+
+    /**
+     * Ajoute à l'historique les annonces et créatives d'un scraping
+     * @param {Object[]} results - Résultats de extractCreativeSrc
+     * @returns {Promise<Object>} Nombre d'annonces observées et nouvelles (newAdIds: identifiants des nouvelles)
+     */
+    async record(results) {
+      // Les résultats déjà enregistrés (repris d'un journal) sont ignorés
+      const sightings = buildSightings(results).filter(s => !recorded.has(getSightingKey(s)));
+      const adIds = new Set(sightings.filter(s => s.kind === 'ad').map(s => s.libraryId));
+      const newAdIds = [...adIds].filter(id => !ads.has(id));
+      if (sightings.length === 0) return { ads: 0, newAds: 0, newAdIds: [], creatives: 0 };
+
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, sightings.map(s => JSON.stringify(s)).join('\n') + '\n', 'utf8');
+      sightings.forEach(apply);
+
+      return {
+        ads: adIds.size,
+        newAds: newAdIds.length,
+        newAdIds,
+        creatives: sightings.filter(s => s.kind === 'creative').length
+      };
+    },
+
+    /**
+     * Renvoie une annonce de l'historique
+     * @param {string} libraryId - Identifiant Ad Library
+     * @returns {Object|null} Annonce avec firstSeen, lastSeen et runningDays
+     */
+    getAd(libraryId) {
+      const ad = ads.get(String(libraryId));
+      return ad ? withRunningDays(ad) : null;
+    },
+
+    /**
+     * Renvoie toutes les annonces de l'historique
+     * @returns {Object[]} Annonces avec firstSeen, lastSeen et runningDays
+     */
+    getAds() {
+      return [...ads.values()].map(withRunningDays);
+    },
+
+    /**
+     * Renvoie toutes les créatives de l'historique
+     * @returns {Object[]} Créatives avec firstSeen, lastSeen et annonces liées
+     */
+    getCreatives() {
+      return [...creatives.values()];
+    },
+
+    /**
+     * Liste les annonces diffusées depuis longtemps (signal de créative gagnante)
+     * @param {Object} options - Filtres
+     * @param {number} options.minDays - Durée minimale de diffusion (défaut: CONFIG.LONG_RUNNING_DAYS)
+     * @param {string} options.advertiser - Nom, identifiant ou URL de page de l'annonceur
+     * @returns {Object[]} Annonces triées de la plus ancienne à la plus récente
+     */
+    findLongRunning(options = {}) {
+      const minDays = options.minDays !== undefined && options.minDays !== null ? options.minDays : CONFIG.LONG_RUNNING_DAYS;
+      const advertiser = options.advertiser ? String(options.advertiser).toLowerCase() : null;
+
+      return this.getAds()
+        .filter(ad => ad.runningDays >= minDays)
+        .filter(ad => !advertiser || [ad.advertiser && ad.advertiser.name, ad.advertiser && ad.advertiser.pageId, ad.advertiser && ad.advertiser.pageUrl]
+          .some(value => value && String(value).toLowerCase().includes(advertiser)))
+        .sort((a, b) => b.runningDays - a.runningDays);
+    }
+  };
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  openAdHistory,
+  getRunningDays,
+  CONFIG
+};
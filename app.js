@@ -1,18 +1,46 @@
-const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
+const { buildAdLibraryUrls } = require('./search');
+const { openJobJournal } = require('./journal');
+const { loadMediaIndex } = require('./media-index');
+const { createTaskQueue, logProgress, getHost } = require('./task-queue');
+const { createBrowserPool } = require('./browser-pool');
+const { startMediaCapture, mergeNetworkMedia } = require('./media-capture');
+const { startGraphqlCapture, extractAdsFromPayloads } = require('./graphql-extractor');
+const { loadSelectorProfiles, describeProfile } = require('./selector-profiles');
+const { openAdHistory } = require('./ad-history');
+const { notify } = require('./notifier');
 
 // ============= CONFIGURATION =============
 const CONFIG = {
-  // Sélecteur CSS pour les éléments créatifs
-  CREATIVE_SELECTOR: '.creative',
+  // Source des annonces: 'dom' (cartes affichées), 'graphql' (réponses JSON de
+  // la page) ou 'auto' (JSON en priorité, cartes du DOM absentes du JSON en complément)
+  EXTRACTOR: 'auto',
   
-  // Nombre d'URLs à traiter en parallèle
-  BATCH_SIZE: 5,
+  // Nombre d'URLs traitées simultanément
+  CONCURRENCY: 5,
+  
+  // Pages ouvertes simultanément sur un même site
+  PER_HOST_CONCURRENCY: 5,
+  
+  // Pages chargées par seconde (0 = sans limite)
+  RATE_LIMIT: 1,
   
   // Timeout pour le chargement des pages (en ms)
   PAGE_TIMEOUT: 30000,
   
+  // Défilement infini des résultats de recherche
+  SCROLL: {
+    // Nombre maximum d'annonces à charger par page (0 = illimité)
+    MAX_ADS: 0,
+    // Durée maximale de défilement par page (en ms)
+    MAX_SCROLL_TIME: 120000,
+    // Pause après chaque défilement pour laisser charger les annonces (en ms)
+    SCROLL_DELAY: 1500,
+    // Nombre de défilements consécutifs sans nouvelle annonce avant d'arrêter
+    IDLE_ROUNDS: 3
+  },
+  
   // Options du navigateur
   BROWSER_OPTIONS: {
     headless: true,
@@ -28,64 +56,249 @@ const CONFIG = {
   }
 };
 
+/**
+ * Analyse les cartes d'annonces de l'Ad Library avec un profil de sélecteurs (exécuté dans la page)
+ * Chaque champ est lu avec le premier sélecteur de sa chaîne qui trouve un
+ * élément. Si aucun sélecteur de carte ne correspond et que le profil le
+ * permet, chaque carte est repérée par son "Library ID", puis remontée
+ * jusqu'au plus grand conteneur qui ne contient qu'un seul identifiant.
+ * @param {Object} profile - Profil d'extraction (voir selector-profiles.js)
+ * @returns {Object[]} Annonces brutes extraites du DOM
+ */
+function extractAdCards(profile) {
+  const ID_REGEX = /(?:Library ID|ID de la biblioth[eè]que)\s*:?\s*(\d+)/i;
+  const DATE_REGEX = /(?:Started running on|Diffusion commencée le)\s+([^\n·]+)/i;
+  const countIds = (el) => (el.innerText.match(new RegExp(ID_REGEX.source, 'gi')) || []).length;
+  const PLATFORMS = ['Facebook', 'Instagram', 'Messenger', 'Audience Network', 'Threads', 'WhatsApp'];
+  const { selectors } = profile;
+
+  // Éléments trouvés par le premier sélecteur de la chaîne qui correspond
+  const queryChain = (root, chain, accept = () => true) => {
+    for (const selector of chain) {
+      let found = [];
+      try {
+        found = Array.from(root.querySelectorAll(selector)).filter(accept);
+      } catch (error) {
+        // Sélecteur invalide: le suivant est essayé
+      }
+      if (found.length > 0) return found;
+    }
+    return [];
+  };
+
+  let cards = queryChain(document, selectors.card, el => countIds(el) === 1);
+
+  if (cards.length === 0 && profile.libraryIdFallback) {
+    const markers = Array.from(document.querySelectorAll('span, div'))
+      .filter(el => el.children.length === 0 && ID_REGEX.test(el.textContent));
+
+    markers.forEach(marker => {
+      let card = marker;
+      while (card.parentElement && card.parentElement !== document.body && countIds(card.parentElement) === 1) {
+        card = card.parentElement;
+      }
+      if (!cards.includes(card)) cards.push(card);
+    });
+  }
+
+  return cards.map(card => {
+    const text = card.innerText;
+    const line = (regex, source = text) => {
+      const match = source.match(regex);
+      return match ? match[1].trim() : null;
+    };
+
+    // Page de l'annonceur: premier lien vers facebook.com avec un texte
+    const [pageLink] = queryChain(card, selectors.advertiser, a => a.href
+      && /facebook\.com\/(?!l\.php|ads\/)/.test(a.href) && !a.href.includes('l.facebook.com') && a.innerText.trim());
+
+    // Lien de destination (redirection l.facebook.com/l.php?u=...)
+    const landingLink = card.querySelector('a[href*="l.facebook.com/l.php"], a[target="_blank"][href^="http"]:not([href*="facebook.com"])');
+    let landingUrl = null;
+    if (landingLink) {
+      try {
+        const href = new URL(landingLink.href);
+        landingUrl = href.searchParams.get('u') || landingLink.href;
+      } catch (error) {
+        landingUrl = landingLink.href;
+      }
+    }
+
+    const ctaButton = landingLink && landingLink.querySelector('[role="button"]');
+    const [body] = queryChain(card, selectors.text, el => el.innerText.trim());
+    const [dateElement] = queryChain(card, selectors.date, el => DATE_REGEX.test(el.innerText));
+
+    // Plateformes: libellés accessibles des icônes
+    const labels = Array.from(card.querySelectorAll('[aria-label], [title], [data-tooltip-content]'))
+      .map(el => el.getAttribute('aria-label') || el.getAttribute('title') || el.getAttribute('data-tooltip-content'));
+    const platforms = PLATFORMS.filter(name => labels.some(label => label && label.includes(name)));
+
+    // Médias de la créative (la photo de profil de l'annonceur est exclue)
+    const media = [];
+    const mediaElements = queryChain(card, selectors.media);
+    mediaElements.filter(el => el.tagName === 'VIDEO').forEach(video => {
+      // Toutes les sources proposées (variantes HD/SD), libellées quand la page l'indique
+      const variants = [];
+      const addVariant = (url, quality) => {
+        if (url && !variants.some(v => v.url === url)) variants.push({ url, quality: quality ? quality.toLowerCase() : null });
+      };
+      video.querySelectorAll('source[src]').forEach(source => {
+        addVariant(source.src, source.getAttribute('label') || source.getAttribute('data-quality') || source.getAttribute('res'));
+      });
+      addVariant(video.currentSrc);
+      addVariant(video.src);
+      
+      const src = video.currentSrc || video.src || (variants[0] && variants[0].url);
+      if (src) media.push({ type: 'video', url: src, poster: video.poster || null, variants });
+    });
+    mediaElements.filter(el => el.tagName === 'IMG' && el.src).forEach(img => {
+      if (/s60x60|p60x60/.test(img.src)) return;
+      if (pageLink && pageLink.contains(img)) return;
+      media.push({ type: 'image', url: img.src, poster: null });
+    });
+
+    return {
+      libraryId: line(ID_REGEX),
+      advertiser: {
+        name: pageLink ? pageLink.innerText.trim() : null,
+        pageUrl: pageLink ? pageLink.href : null
+      },
+      startDateText: line(DATE_REGEX, dateElement ? dateElement.innerText : text),
+      status: line(/^(Active|Inactive|Actif|Inactif)$/im),
+      platforms,
+      text: body ? body.innerText.trim() : null,
+      cta: ctaButton ? ctaButton.innerText.trim() : null,
+      landingUrl,
+      media
+    };
+  });
+}
+
+/**
+ * Compte les annonces affichées et lit le nombre de résultats annoncé (exécuté dans la page)
+ * @returns {Object} Nombre d'annonces rendues et total affiché par la page
+ */
+function countRenderedAds() {
+  const ID_REGEX = /(?:Library ID|ID de la biblioth[eè]que)\s*:?\s*\d+/i;
+  const rendered = Array.from(document.querySelectorAll('span, div'))
+    .filter(el => el.children.length === 0 && ID_REGEX.test(el.textContent)).length;
+
+  const match = document.body.innerText.match(/~?\s*([\d][\d\s,.\u202f\u00a0]*)\s+(?:results|résultats)/i);
+  const expected = match ? parseInt(match[1].replace(/[^\d]/g, ''), 10) : null;
+
+  return { rendered, expected };
+}
+
+/**
+ * Fait défiler la page jusqu'à ce que plus aucune annonce ne se charge
+ * @param {puppeteer.Page} page - Page de recherche Ad Library
+ * @param {Object} options - Limites de défilement (voir CONFIG.SCROLL)
+ * @returns {Promise<Object>} Nombre d'annonces chargées, total annoncé et raison de l'arrêt
+ */
+async function scrollUntilComplete(page, options = CONFIG.SCROLL) {
+  const startTime = Date.now();
+  let { rendered, expected } = await page.evaluate(countRenderedAds);
+  let idleRounds = 0;
+  let scrolls = 0;
+  let stopReason = 'no-more-results';
+  
+  while (idleRounds < options.IDLE_ROUNDS) {
+    if (options.MAX_ADS && rendered >= options.MAX_ADS) {
+      stopReason = 'max-ads';
+      break;
+    }
+    if (Date.now() - startTime >= options.MAX_SCROLL_TIME) {
+      stopReason = 'max-scroll-time';
+      break;
+    }
+    if (expected !== null && rendered >= expected) {
+      break;
+    }
+    
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await new Promise(resolve => setTimeout(resolve, options.SCROLL_DELAY));
+    scrolls++;
+    
+    const current = await page.evaluate(countRenderedAds);
+    idleRounds = current.rendered > rendered ? 0 : idleRounds + 1;
+    rendered = current.rendered;
+    expected = current.expected !== null ? current.expected : expected;
+    
+    if (scrolls % 5 === 0) {
+      console.log(`📜 ${rendered}${expected !== null ? `/${expected}` : ''} annonces chargées...`);
+    }
+  }
+  
+  return {
+    rendered,
+    expected,
+    scrolls,
+    stopReason,
+    duration: Date.now() - startTime
+  };
+}
+
+/**
+ * Met en forme une date analysée par Date.parse en YYYY-MM-DD
+ * Un texte sans fuseau ("Mar 5, 2025") est lu à minuit heure locale: la date
+ * est donc écrite en heure locale, et non en UTC qui décalerait d'un jour.
+ * @param {number} time - Horodatage (ms)
+ * @returns {string}
+ */
+function formatLocalDate(time) {
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Normalise une annonce brute extraite du DOM
+ * @param {Object} rawAd - Annonce renvoyée par extractAdCards
+ * @returns {Object} Annonce structurée
+ */
+function normalizeAd(rawAd) {
+  const parsedDate = rawAd.startDateText ? Date.parse(rawAd.startDateText) : NaN;
+  const status = (rawAd.status || '').toLowerCase();
+
+  return {
+    libraryId: rawAd.libraryId,
+    advertiser: rawAd.advertiser,
+    startDate: Number.isNaN(parsedDate) ? null : formatLocalDate(parsedDate),
+    startDateText: rawAd.startDateText,
+    isActive: status ? status.startsWith('acti') : null,
+    platforms: rawAd.platforms,
+    text: rawAd.text,
+    cta: rawAd.cta,
+    landingUrl: rawAd.landingUrl,
+    media: rawAd.media.filter((item, i, all) => all.findIndex(m => m.url === item.url) === i)
+  };
+}
+
 /**
  * Extrait les URLs src des éléments créatifs d'une page
  * @param {string} url - URL de la page à analyser
- * @param {puppeteer.Browser} browser - Instance du navigateur
+ * @param {Object} pool - Pool de navigateurs (voir browser-pool.js)
  * @returns {Promise<Object>} Résultat avec l'URL et les src extraites
  */
-async function extractCreativeSrc(url, browser) {
-  const page = await browser.newPage();
-  
+async function extractCreativeSrc(url, pool) {
   try {
     console.log(`🔄 Traitement de: ${url}`);
-    
-    // Configuration de la page
-    await page.setDefaultTimeout(CONFIG.PAGE_TIMEOUT);
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    
-    // Navigation vers la page
-    await page.goto(url, { 
-      waitUntil: 'networkidle2',
-      timeout: CONFIG.PAGE_TIMEOUT 
-    });
-    
-    // Attendre un peu plus pour s'assurer que les éléments dynamiques sont chargés
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Extraire les URLs src des éléments créatifs
-    const creativeSrcs = await page.evaluate((selector) => {
-      const elements = document.querySelectorAll(selector);
-      const srcs = [];
-      
-      elements.forEach(element => {
-        // Récupérer src de l'élément lui-même s'il en a un
-        if (element.src) {
-          srcs.push(element.src);
+    return await pool.withPage(async (page) => {
+      // Enregistrer les médias reçus par la page (vidéos lues en blob:, images différées)
+      // et les réponses JSON qui alimentent l'Ad Library
+      const capture = startMediaCapture(page);
+      const graphql = CONFIG.EXTRACTOR !== 'dom' ? startGraphqlCapture(page) : null;
+      try {
+        let result = await scrapeCreativePage(page, url);
+        if (graphql) {
+          result = withGraphqlAds(result, extractAdsFromPayloads(await graphql.stop()));
         }
-        
-        // Récupérer src des éléments enfants (img, video, etc.)
-        const childElements = element.querySelectorAll('[src]');
-        childElements.forEach(child => {
-          if (child.src) {
-            srcs.push(child.src);
-          }
-        });
-      });
-      
-      // Supprimer les doublons
-      return [...new Set(srcs)];
-    }, CONFIG.CREATIVE_SELECTOR);
-    
-    console.log(`✅ ${creativeSrcs.length} URLs extraites de: ${url}`);
-    
-    return {
-      url: url,
-      success: true,
-      creativeSrcs: creativeSrcs,
-      count: creativeSrcs.length,
-      timestamp: new Date().toISOString()
-    };
+        return withNetworkMedia(result, capture.stop());
+      } finally {
+        capture.stop();
+        if (graphql) await graphql.stop();
+      }
+    });
     
   } catch (error) {
     console.error(`❌ Erreur pour ${url}:`, error.message);
@@ -94,76 +307,332 @@ async function extractCreativeSrc(url, browser) {
       url: url,
       success: false,
       error: error.message,
+      ads: [],
+      adCount: 0,
+      expectedAdCount: null,
+      profile: null,
       creativeSrcs: [],
       count: 0,
+      networkMedia: [],
       timestamp: new Date().toISOString()
     };
+  }
+}
+
+/**
+ * Remplace ou complète les annonces lues dans le DOM par celles des réponses JSON
+ * @param {Object} result - Résultat de scrapeCreativePage
+ * @param {Object[]} graphqlAds - Annonces normalisées extraites des réponses
+ * @returns {Object} Résultat avec les annonces et créatives mises à jour
+ */
+function withGraphqlAds(result, graphqlAds) {
+  let ads = graphqlAds;
+  if (CONFIG.EXTRACTOR === 'auto') {
+    const byId = new Map(graphqlAds.map(ad => [ad.libraryId, ad]));
+    const domIds = new Set(result.ads.map(ad => ad.libraryId));
+    ads = result.ads.map(ad => byId.get(ad.libraryId) || ad)
+      .concat(graphqlAds.filter(ad => !domIds.has(ad.libraryId)));
+  }
+  if (CONFIG.SCROLL.MAX_ADS) {
+    ads = ads.slice(0, CONFIG.SCROLL.MAX_ADS);
+  }
+  
+  // En mode 'graphql', seules les créatives des réponses JSON sont retenues
+  const creativeSrcs = CONFIG.EXTRACTOR === 'graphql' ? [] : [...result.creativeSrcs];
+  ads.forEach(ad => {
+    ad.media.forEach(item => {
+      if (!creativeSrcs.includes(item.url)) creativeSrcs.push(item.url);
+    });
+  });
+  
+  console.log(`🧬 ${graphqlAds.length} annonces lues dans les réponses JSON (${ads.length} retenues)`);
+  
+  return {
+    ...result,
+    ads: ads,
+    adCount: ads.length,
+    creativeSrcs: creativeSrcs,
+    count: creativeSrcs.length,
+    extractor: CONFIG.EXTRACTOR,
+    graphqlAdCount: graphqlAds.length
+  };
+}
+
+/**
+ * Complète un résultat d'extraction avec les médias capturés sur le réseau
+ * Les URLs blob: ne sont pas téléchargeables: elles cèdent la place aux URLs réseau.
+ * @param {Object} result - Résultat de scrapeCreativePage
+ * @param {Object[]} captured - Médias capturés pendant le chargement
+ * @returns {Object} Résultat avec creativeSrcs fusionnées et networkMedia
+ */
+function withNetworkMedia(result, captured) {
+  const networkMedia = mergeNetworkMedia(result.ads, captured);
+  
+  // Seuls les médias rattachés à une annonce (ou ayant remplacé une vidéo blob:)
+  // sont des créatives. Une autre variante d'une vidéo (ex: le <source> SD d'une
+  // vidéo HD, lu dans le DOM ou capturé) n'en est pas une de plus: elle serait
+  // téléchargée une seconde fois sous la variante choisie.
+  const adSrcs = result.ads.flatMap(ad => ad.media.map(item => item.url));
+  const variantSrcs = new Set(result.ads
+    .flatMap(ad => ad.media.flatMap(item => (item.variants || []).map(v => v.url)))
+    .filter(src => !adSrcs.includes(src)));
+  const creativeSrcs = result.creativeSrcs.filter(src => !src.startsWith('blob:') && !variantSrcs.has(src));
+  const networkSrcs = networkMedia.filter(item => item.libraryId).map(item => item.url).filter(src => !variantSrcs.has(src));
+  [...adSrcs, ...networkSrcs].forEach(src => {
+    if (!creativeSrcs.includes(src)) creativeSrcs.push(src);
+  });
+  
+  if (networkMedia.length > 0) {
+    const linked = networkMedia.filter(item => item.libraryId).length;
+    console.log(`🕸️ ${networkMedia.length} médias capturés sur le réseau (${linked} rattachés à une annonce)`);
+  }
+  
+  return {
+    ...result,
+    creativeSrcs: creativeSrcs,
+    count: creativeSrcs.length,
+    networkMedia: networkMedia
+  };
+}
+
+/**
+ * Charge une page Ad Library dans une page du pool et en extrait les créatives
+ * @param {puppeteer.Page} page - Page fournie par le pool
+ * @param {string} url - URL à analyser
+ * @returns {Promise<Object>} Résultat de l'extraction
+ */
+async function scrapeCreativePage(page, url) {
+  // Configuration de la page
+  await page.setDefaultTimeout(CONFIG.PAGE_TIMEOUT);
+  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+  
+  // Navigation vers la page
+  await page.goto(url, { 
+    waitUntil: 'networkidle2',
+    timeout: CONFIG.PAGE_TIMEOUT 
+  });
+  
+  // Attendre un peu plus pour s'assurer que les éléments dynamiques sont chargés
+  await new Promise(resolve => setTimeout(resolve, 2000));
+  
+  // Faire défiler jusqu'à ce que toutes les annonces soient chargées
+  const scroll = await scrollUntilComplete(page, CONFIG.SCROLL);
+  
+  // Premier profil de sélecteurs qui trouve des annonces sur la page
+  const profiles = await loadSelectorProfiles();
+  let profile = null;
+  let rawAds = [];
+  for (const candidate of profiles) {
+    rawAds = await page.evaluate(extractAdCards, candidate);
+    if (rawAds.length > 0) {
+      profile = candidate;
+      break;
+    }
+  }
+  if (profile) {
+    console.log(`🧩 Profil de sélecteurs: ${describeProfile(profile)}`);
+  } else {
+    console.log(`⚠️ Aucun profil de sélecteurs ne correspond à la page (${profiles.map(describeProfile).join(', ')})`);
+  }
+  
+  // Extraire les URLs src des éléments créatifs
+  const creativeSrcs = await page.evaluate((chain) => {
+    const elements = chain
+      .map(selector => {
+        try {
+          return Array.from(document.querySelectorAll(selector));
+        } catch (error) {
+          return [];
+        }
+      })
+      .find(found => found.length > 0) || [];
+    const srcs = [];
     
-  } finally {
-    await page.close();
+    elements.forEach(element => {
+      // Récupérer src de l'élément lui-même s'il en a un
+      if (element.src) {
+        srcs.push(element.src);
+      }
+      
+      // Récupérer src des éléments enfants (img, video, etc.)
+      const childElements = element.querySelectorAll('[src]');
+      childElements.forEach(child => {
+        if (child.src) {
+          srcs.push(child.src);
+        }
+      });
+    });
+    
+    // Supprimer les doublons
+    return [...new Set(srcs)];
+  }, (profile || profiles[0]).selectors.creative);
+  
+  // Annonces structurées avec leurs médias
+  let ads = rawAds.map(normalizeAd);
+  if (CONFIG.SCROLL.MAX_ADS) {
+    ads = ads.slice(0, CONFIG.SCROLL.MAX_ADS);
+  }
+  ads.forEach(ad => {
+    ad.media.forEach(item => {
+      if (!creativeSrcs.includes(item.url)) creativeSrcs.push(item.url);
+    });
+  });
+  
+  const expectedLabel = scroll.expected !== null ? `/${scroll.expected} annoncées` : '';
+  console.log(`✅ ${ads.length}${expectedLabel} annonces, ${creativeSrcs.length} URLs extraites de: ${url}`);
+  
+  return {
+    url: url,
+    success: true,
+    ads: ads,
+    adCount: ads.length,
+    expectedAdCount: scroll.expected,
+    profile: profile ? { name: profile.name, version: profile.version } : null,
+    scroll: {
+      scrolls: scroll.scrolls,
+      stopReason: scroll.stopReason,
+      duration: scroll.duration
+    },
+    creativeSrcs: creativeSrcs,
+    count: creativeSrcs.length,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Enregistre dans la médiathèque la page et l'annonce d'origine de chaque média
+ * @param {Object[]} results - Résultats de extractCreativeSrc
+ */
+async function rememberMediaSources(results) {
+  const sightings = [];
+
+  results.filter(r => r && r.success).forEach(result => {
+    result.creativeSrcs.forEach(src => {
+      sightings.push({ url: src, pageUrl: result.url, libraryId: null });
+    });
+    result.ads.forEach(ad => {
+      ad.media.forEach(item => {
+        // Chaque variante d'une vidéo connaît les autres (choix de la variante au téléchargement)
+        const variants = item.variants && item.variants.length > 1 ? item.variants : null;
+        const urls = variants ? variants.map(v => v.url) : [item.url];
+        urls.forEach(url => {
+          sightings.push({ url, pageUrl: result.url, libraryId: ad.libraryId, variants });
+        });
+      });
+    });
+  });
+
+  try {
+    const mediaIndex = await loadMediaIndex();
+    await mediaIndex.rememberSources(sightings.filter(s => /^https?:/.test(s.url)));
+  } catch (error) {
+    console.error('⚠️ Provenance des médias non enregistrée:', error.message);
   }
 }
 
 /**
- * Traite un lot d'URLs en parallèle
- * @param {string[]} urlBatch - Lot d'URLs à traiter
- * @param {puppeteer.Browser} browser - Instance du navigateur
- * @returns {Promise<Object[]>} Résultats du lot
+ * Ajoute les annonces et créatives trouvées à l'historique (première et dernière observation)
+ * @param {Object[]} results - Résultats de extractCreativeSrc
+ * @returns {Promise<Object|null>} Compteurs de l'historique, ou null en cas d'erreur
  */
-async function processBatch(urlBatch, browser) {
-  const promises = urlBatch.map(url => extractCreativeSrc(url, browser));
-  return Promise.all(promises);
+async function recordHistory(results) {
+  try {
+    const history = await openAdHistory();
+    const recorded = await history.record(results);
+    console.log(`🗃️ Historique: ${recorded.ads} annonces observées dont ${recorded.newAds} nouvelles (${history.getAds().length} suivies)`);
+    return { file: history.file, ...recorded, trackedAds: history.getAds().length };
+  } catch (error) {
+    console.error('⚠️ Historique des annonces non enregistré:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Traite une URL de la file et enregistre son résultat dans le journal
+ * @param {number} index - Index de l'URL
+ * @param {string[]} urls - Toutes les URLs du job
+ * @param {Object} pool - Pool de navigateurs
+ * @param {Object} journal - Journal du job
+ * @returns {Promise<Object>} Résultat du traitement
+ */
+async function processIndex(index, urls, pool, journal) {
+  const result = await extractCreativeSrc(urls[index], pool);
+  await journal.record(index, result);
+  return result;
 }
 
 /**
  * Fonction principale
  * @param {string[]} urls - Tableau des URLs à traiter
+ * @param {Object} options - Options
+ * @param {boolean} options.fresh - Ignore le journal d'un job précédent
+ * @param {Function} options.onResult - Appelée avec chaque résultat dès qu'il est disponible (result, index)
  * @returns {Promise<Object>} Résultats complets
  */
-async function scrapeCreativeUrls(urls) {
+async function scrapeCreativeUrls(urls, options = {}) {
   console.log(`🚀 Démarrage du scraping de ${urls.length} URLs`);
-  console.log(`📊 Configuration: ${CONFIG.BATCH_SIZE} URLs en parallèle`);
-  console.log(`🎯 Sélecteur: ${CONFIG.CREATIVE_SELECTOR}`);
+  console.log(`📊 Configuration: ${CONFIG.CONCURRENCY} URLs en parallèle (${CONFIG.PER_HOST_CONCURRENCY} par hôte, ${CONFIG.RATE_LIMIT || '∞'}/s)`);
+  const profiles = await loadSelectorProfiles();
+  console.log(`🧩 Profils de sélecteurs: ${profiles.map(describeProfile).join(', ')}`);
+  console.log(`📜 Défilement: ${CONFIG.SCROLL.MAX_ADS || '∞'} annonces max, ${Math.round(CONFIG.SCROLL.MAX_SCROLL_TIME / 1000)}s max par page`);
   
-  let browser;
-  const results = [];
+  const pool = createBrowserPool(CONFIG.BROWSER_OPTIONS);
   const startTime = Date.now();
   
+  // Journal du job: les URLs déjà traitées avec succès sont reprises telles quelles
+  const journal = await openJobJournal('scrape', urls, options);
+  const results = urls.map((url, index) => (journal.isDone(index) ? journal.getResult(index) : null));
+  const pending = urls.map((url, index) => index).filter(index => !journal.isDone(index));
+  
+  // Les résultats repris du journal sont transmis d'emblée
+  if (options.onResult) {
+    for (const [index, result] of results.entries()) {
+      if (result) await options.onResult(result, index);
+    }
+  }
+  
   try {
     // Lancement du navigateur
-    console.log('🌐 Lancement du navigateur...');
-    browser = await puppeteer.launch(CONFIG.BROWSER_OPTIONS);
-    
-    // Traitement par lots
-    for (let i = 0; i < urls.length; i += CONFIG.BATCH_SIZE) {
-      const batch = urls.slice(i, i + CONFIG.BATCH_SIZE);
-      const batchNumber = Math.floor(i / CONFIG.BATCH_SIZE) + 1;
-      const totalBatches = Math.ceil(urls.length / CONFIG.BATCH_SIZE);
-      
-      console.log(`\n📦 Traitement du lot ${batchNumber}/${totalBatches} (${batch.length} URLs)`);
-      
-      const batchResults = await processBatch(batch, browser);
-      results.push(...batchResults);
-      
-      // Pause entre les lots pour éviter la surcharge
-      if (i + CONFIG.BATCH_SIZE < urls.length) {
-        console.log('⏸️ Pause de 2 secondes...');
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
+    if (pending.length > 0) {
+      console.log('🌐 Lancement du navigateur...');
+      await pool.start();
     }
     
+    // File de tâches: chaque URL terminée libère aussitôt sa place pour la suivante
+    const queue = createTaskQueue({
+      concurrency: CONFIG.CONCURRENCY,
+      perHost: CONFIG.PER_HOST_CONCURRENCY,
+      rateLimit: CONFIG.RATE_LIMIT
+    });
+    queue.on('progress', logProgress('pages'));
+    
+    await Promise.all(pending.map(index => queue.push(async () => {
+      results[index] = await processIndex(index, urls, pool, journal);
+      if (options.onResult) await options.onResult(results[index], index);
+    }, { host: getHost(urls[index]) })));
+    
   } catch (error) {
     console.error('💥 Erreur critique:', error);
     throw error;
     
   } finally {
-    // Fermeture du navigateur
-    if (browser) {
-      console.log('🔒 Fermeture du navigateur...');
-      await browser.close();
-    }
+    // Fermeture des navigateurs
+    console.log('🔒 Fermeture du navigateur...');
+    await pool.close();
   }
   
+  // Job complet: le journal ne sert plus (seul un job interrompu reprend)
+  const finished = await journal.finish();
+  
+  // Mémoriser la provenance de chaque média (utilisée pour renouveler les URLs expirées)
+  await rememberMediaSources(results);
+  
+  // Historique des annonces d'un run à l'autre (first-seen / last-seen)
+  const history = await recordHistory(results);
+  
+  // Les nouvelles annonces ne sont connues que par l'historique
+  const notifications = history ? await notify('scrape', { results, newAdIds: history.newAdIds }) : [];
+  
   const endTime = Date.now();
   const duration = Math.round((endTime - startTime) / 1000);
   
@@ -171,26 +640,68 @@ async function scrapeCreativeUrls(urls) {
   const successful = results.filter(r => r.success).length;
   const failed = results.filter(r => !r.success).length;
   const totalCreatives = results.reduce((sum, r) => sum + r.count, 0);
+  const totalAds = results.reduce((sum, r) => sum + r.adCount, 0);
+  const totalExpectedAds = results.reduce((sum, r) => sum + (r.expectedAdCount || 0), 0);
+  
+  // Profils de sélecteurs utilisés (une markup modifiée se voit ici)
+  const profileStats = {};
+  results.filter(r => r.success).forEach(r => {
+    const label = r.profile ? describeProfile(r.profile) : 'aucun';
+    profileStats[label] = (profileStats[label] || 0) + 1;
+  });
   
   console.log('\n📈 RÉSULTATS:');
   console.log(`✅ Succès: ${successful}/${urls.length}`);
   console.log(`❌ Échecs: ${failed}/${urls.length}`);
+  console.log(`📰 Total annonces trouvées: ${totalAds} (annoncées par les pages: ${totalExpectedAds})`);
   console.log(`🎨 Total créatives trouvées: ${totalCreatives}`);
+  console.log(`🧩 Profils: ${Object.entries(profileStats).map(([label, count]) => `${label}: ${count}`).join(', ') || '-'}`);
   console.log(`⏱️ Durée: ${duration}s`);
+  if (pool.stats.crashed > 0) {
+    console.log(`💥 Plantages du navigateur: ${pool.stats.crashed} (${pool.stats.retried} pages relancées)`);
+  }
   
   return {
     summary: {
       totalUrls: urls.length,
       successful,
       failed,
+      totalAds,
+      totalExpectedAds,
       totalCreatives,
+      profiles: profileStats,
+      history,
+      notifications,
       duration: `${duration}s`,
+      browsers: {
+        launched: pool.stats.launched,
+        crashed: pool.stats.crashed,
+        recycled: pool.stats.recycled,
+        retried: pool.stats.retried
+      },
+      job: {
+        id: journal.id,
+        journal: finished ? null : journal.file,
+        resumed: journal.completed
+      },
       timestamp: new Date().toISOString()
     },
     results: results
   };
 }
 
+/**
+ * Scrape les résultats d'une recherche Ad Library structurée
+ * @param {Object} query - Recherche structurée (voir search.js)
+ * @param {Object} options - Options (voir scrapeCreativeUrls)
+ * @returns {Promise<Object>} Résultats complets
+ */
+async function scrapeSearch(query, options = {}) {
+  const urls = buildAdLibraryUrls(query);
+  console.log(`🔎 ${urls.length} URLs de recherche générées`);
+  return scrapeCreativeUrls(urls, options);
+}
+
 /**
  * Sauvegarde les résultats dans un fichier JSON
  * @param {Object} data - Données à sauvegarder
@@ -244,6 +755,9 @@ async function main() {
     console.log('\n🔍 ÉCHANTILLON DES RÉSULTATS:');
     results.results.slice(0, 3).forEach(result => {
       console.log(`\n${result.success ? '✅' : '❌'} ${result.url}`);
+      result.ads.slice(0, 2).forEach(ad => {
+        console.log(`  📰 ${ad.libraryId} - ${ad.advertiser.name || '?'} (${ad.isActive ? 'active' : 'inactive'}, depuis ${ad.startDate || '?'}) - ${ad.media.length} médias`);
+      });
       if (result.success && result.creativeSrcs.length > 0) {
         result.creativeSrcs.slice(0, 2).forEach(src => {
           console.log(`  🎨 ${src}`);
@@ -290,6 +804,8 @@ async function loadUrlsFromFile(filepath) {
 // Exportation des fonctions pour utilisation modulaire
 module.exports = {
   scrapeCreativeUrls,
+  scrapeSearch,
+  extractCreativeSrc,
   saveResults,
   parseUrlsFromText,
   loadUrlsFromFile,
@@ -0,0 +1,221 @@
+const puppeteer = require('puppeteer');
+
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Nombre maximum de navigateurs ouverts en même temps
+  MAX_BROWSERS: 1,
+
+  // Recycler un navigateur après ce nombre de pages (limite la croissance mémoire)
+  RECYCLE_AFTER_PAGES: 50,
+
+  // Nombre de relances d'une URL interrompue par un plantage du navigateur
+  MAX_CRASH_RETRIES: 2,
+
+  // Durée maximale d'une tâche avant de considérer le navigateur bloqué (en ms)
+  TASK_TIMEOUT: 5 * 60 * 1000
+};
+
+/**
+ * Crée un pool de navigateurs Puppeteer
+ * Les pages sont réutilisées d'une URL à l'autre. Un navigateur qui plante ou
+ * se bloque est remplacé et les URLs qu'il traitait sont relancées sur le
+ * suivant. Chaque navigateur est recyclé après CONFIG.RECYCLE_AFTER_PAGES pages.
+ * @param {Object} launchOptions - Options de puppeteer.launch()
+ * @returns {Object} Pool ({ start, withPage, close, stats })
+ */
+function createBrowserPool(launchOptions) {
+  const instances = [];
+  const brokenPages = new WeakSet();
+  const stats = { launched: 0, crashed: 0, recycled: 0, retried: 0 };
+  let closed = false;
+
+  /**
+   * Lance un navigateur et surveille sa déconnexion
+   */
+  const launch = () => {
+    const instance = { browser: null, ready: null, idlePages: [], active: 0, served: 0, retiring: false, closing: false, crashed: false };
+    instances.push(instance);
+    stats.launched++;
+
+    instance.ready = puppeteer.launch(launchOptions).then((browser) => {
+      instance.browser = browser;
+      browser.on('disconnected', () => {
+        if (!instance.closing && !instance.crashed) {
+          console.error('💥 Le navigateur s\'est arrêté de façon inattendue');
+          stats.crashed++;
+        }
+        instance.crashed = true;
+        remove(instance);
+      });
+      return browser;
+    }, (error) => {
+      remove(instance);
+      throw error;
+    });
+
+    return instance;
+  };
+
+  const remove = (instance) => {
+    const position = instances.indexOf(instance);
+    if (position !== -1) instances.splice(position, 1);
+  };
+
+  /**
+   * Arrête un navigateur bloqué (les tâches en cours échouent et sont relancées)
+   */
+  const kill = (instance) => {
+    if (instance.crashed) return;
+    console.error('💥 Navigateur bloqué, redémarrage...');
+    stats.crashed++;
+    instance.crashed = true;
+    remove(instance);
+
+    const child = instance.browser && instance.browser.process();
+    if (child) child.kill('SIGKILL');
+    else if (instance.browser) instance.browser.close().catch(() => {});
+  };
+
+  /**
+   * Ferme un navigateur recyclé dès que ses pages sont libérées
+   */
+  const retireIfIdle = async (instance) => {
+    if (!instance.retiring || instance.active > 0 || instance.crashed) return;
+    remove(instance);
+    instance.closing = true;
+    stats.recycled++;
+    console.log(`♻️ Navigateur recyclé après ${instance.served} pages`);
+    await instance.browser.close().catch(() => {});
+  };
+
+  /**
+   * Réserve une page sur le navigateur le moins chargé
+   */
+  const acquire = async () => {
+    const usable = instances.filter(i => !i.retiring && !i.crashed);
+    const leastBusy = usable.sort((a, b) => a.active - b.active)[0];
+    const instance = (!leastBusy || (leastBusy.active > 0 && usable.length < CONFIG.MAX_BROWSERS))
+      ? launch()
+      : leastBusy;
+
+    instance.active++;
+    instance.served++;
+    if (instance.served >= CONFIG.RECYCLE_AFTER_PAGES) {
+      instance.retiring = true;
+    }
+
+    try {
+      const browser = await instance.ready;
+      let page = instance.idlePages.pop();
+      if (!page) {
+        page = await browser.newPage();
+        page.on('error', () => brokenPages.add(page));
+      }
+      return { instance, page };
+    } catch (error) {
+      instance.active--;
+      throw error;
+    }
+  };
+
+  /**
+   * Rend une page au pool (ou la ferme si elle n'est plus réutilisable)
+   */
+  const release = async (instance, page) => {
+    instance.active--;
+    if (instance.crashed) return;
+
+    if (brokenPages.has(page) || instance.retiring) {
+      await page.close().catch(() => {});
+    } else {
+      try {
+        await page.goto('about:blank');
+        instance.idlePages.push(page);
+      } catch (error) {
+        await page.close().catch(() => {});
+      }
+    }
+
+    await retireIfIdle(instance);
+  };
+
+  /**
+   * Exécute une tâche avec un délai maximum; au-delà le navigateur est arrêté
+   */
+  const runWithWatchdog = (instance, page, task) => {
+    let timer;
+    const watchdog = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        kill(instance);
+        reject(new Error(`Navigateur bloqué (tâche de plus de ${Math.round(CONFIG.TASK_TIMEOUT / 1000)}s)`));
+      }, CONFIG.TASK_TIMEOUT);
+    });
+    const running = Promise.resolve().then(() => task(page));
+    running.catch(() => {});
+
+    return Promise.race([running, watchdog]).finally(() => clearTimeout(timer));
+  };
+
+  return {
+    /**
+     * Lance le premier navigateur (une erreur de lancement est remontée tout de suite)
+     * @returns {Promise<void>}
+     */
+    async start() {
+      if (instances.length === 0) await launch().ready;
+    },
+
+    /**
+     * Exécute une tâche sur une page du pool
+     * Si le navigateur plante pendant la tâche, elle est relancée sur un
+     * nouveau navigateur (au plus CONFIG.MAX_CRASH_RETRIES fois).
+     * @param {Function} task - Fonction (async) recevant la page
+     * @returns {Promise<*>} Résultat de la tâche
+     */
+    async withPage(task) {
+      for (let attempt = 1; ; attempt++) {
+        const { instance, page } = await acquire();
+
+        try {
+          return await runWithWatchdog(instance, page, task);
+        } catch (error) {
+          const interrupted = instance.crashed || brokenPages.has(page);
+          if (!interrupted || closed || attempt > CONFIG.MAX_CRASH_RETRIES) throw error;
+
+          stats.retried++;
+          console.log(`🔁 Page interrompue par un plantage, nouvelle tentative (${attempt + 1}/${CONFIG.MAX_CRASH_RETRIES + 1})`);
+        } finally {
+          await release(instance, page);
+        }
+      }
+    },
+
+    /**
+     * Ferme tous les navigateurs du pool
+     * @returns {Promise<void>}
+     */
+    async close() {
+      closed = true;
+      const pending = instances.splice(0);
+      await Promise.all(pending.map(async (instance) => {
+        instance.closing = true;
+        try {
+          const browser = await instance.ready;
+          await browser.close();
+        } catch (error) {
+          // Navigateur déjà arrêté ou jamais lancé
+        }
+      }));
+    },
+
+    get stats() {
+      return { ...stats, browsers: instances.length };
+    }
+  };
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  createBrowserPool,
+  CONFIG
+};
@@ -0,0 +1,739 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  scrapeCreativeUrls,
+  saveResults: saveScrapingResults,
+  parseUrlsFromText,
+  loadUrlsFromFile,
+  CONFIG: SCRAPER_CONFIG
+} = require('./app');
+const { processFacebookImages, saveResults: saveImageResults } = require('./image');
+const { processFacebookUrls, saveResults: saveVideoResults, CONFIG: VIDEO_CONFIG } = require('./video');
+const { buildAdLibraryUrls } = require('./search');
+const { CONFIG: FBCDN_CONFIG } = require('./fbcdn');
+const { CONFIG: HTTP_CONFIG } = require('./http-client');
+const { extractAdsFromFiles, CONFIG: GRAPHQL_CONFIG } = require('./graphql-extractor');
+const { CONFIG: SELECTOR_CONFIG } = require('./selector-profiles');
+const { openAdHistory, CONFIG: HISTORY_CONFIG } = require('./ad-history');
+const { diffRuns, diffAgainstHistory, formatDiffReport } = require('./ad-diff');
+const { startWatch, CONFIG: WATCH_CONFIG } = require('./watch');
+const { loadNotificationSinks, CONFIG: NOTIFIER_CONFIG } = require('./notifier');
+const { createNdjsonWriter, exportResults, ROW_TYPES, CONFIG: EXPORT_CONFIG } = require('./result-export');
+
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Extensions reconnues comme vidéos dans le chemin d'une URL fbcdn
+  VIDEO_EXTENSIONS: ['.mp4', '.mov', '.webm', '.m4v'],
+
+  // Extensions reconnues comme images dans le chemin d'une URL fbcdn
+  IMAGE_EXTENSIONS: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp']
+};
+
+const COMMANDS = ['scrape', 'download-images', 'download-videos', 'pipeline', 'parse-responses', 'history', 'diff', 'watch'];
+
+const EXTRACTORS = ['dom', 'graphql', 'auto'];
+
+const VARIANT_POLICIES = ['highest-resolution', 'smallest-size', 'max-bitrate'];
+
+// Nom par défaut des fichiers de résultats de chaque commande (suivi de la date)
+const DEFAULT_OUTPUTS = {
+  scrape: 'creative_scraping',
+  'download-images': 'facebook_images_results',
+  'download-videos': 'facebook_download_results',
+  pipeline: 'pipeline_results'
+};
+
+const USAGE = `
+Usage: node cli.js <commande> [URLs ou fichiers...] [options]
+
+Commandes:
+  scrape            Extrait les créatives des pages Ad Library
+  download-images   Télécharge des images fbcdn
+  download-videos   Télécharge des vidéos fbcdn
+  pipeline          Scrape les pages puis télécharge images et vidéos trouvées
+  parse-responses   Extrait les annonces de réponses JSON enregistrées (hors ligne)
+  history           Liste les annonces suivies diffusées depuis longtemps
+  diff              Compare deux fichiers de résultats de scraping, ou un fichier
+                    avec l'historique (nouvelles annonces, arrêtées, créatives modifiées)
+  watch             Relance les recherches selon une planification et télécharge
+                    les nouvelles créatives (s'arrête avec Ctrl+C)
+
+Arguments:
+  Chaque argument est soit une URL (http/https), soit un fichier texte
+  contenant des URLs (une par ligne, ou copiées depuis Google Sheets).
+
+Options:
+  -o, --output <fichier>   Nom du fichier JSON de résultats (et des exports)
+  --format <liste>         Formats écrits: json, csv, ndjson, xlsx (défaut: json),
+                           ex: --format json,xlsx (ndjson: écrit au fil des résultats)
+  --rows <type>            Lignes des exports de scraping: ads ou creatives (défaut: ads)
+  --columns <liste>        Colonnes des exports, ex: libraryId,advertiser.name,images
+  --fresh                  Ignore le journal d'un job précédent et repart de zéro
+  --keep-expired           Tente quand même les URLs fbcdn dont la signature a expiré
+  --max-ads <n>            Nombre maximum d'annonces chargées par page
+  --max-scroll-time <s>    Durée maximale de défilement par page (secondes)
+  --extractor <mode>       Source des annonces: dom, graphql ou auto (défaut: auto)
+  --save-responses <dir>   Enregistre les réponses JSON de l'Ad Library (fixtures)
+  --profiles <fichier>     Profils de sélecteurs (défaut: selector-profiles.json)
+  --variant-policy <p>     Variante vidéo téléchargée: highest-resolution, smallest-size
+                           ou max-bitrate (défaut: highest-resolution)
+  --max-bitrate <kbit/s>   Débit maximum de la politique max-bitrate
+  --proxy <url>            Proxy HTTP(S) des téléchargements (défaut: HTTPS_PROXY)
+  --header <nom: valeur>   Header ajouté aux téléchargements (répétable)
+
+Recherche Ad Library (génère les URLs au lieu de les saisir):
+  --keyword <texte>        Mot-clé ou domaine recherché (répétable)
+  --page-id <id>           Identifiant de page annonceur (répétable)
+  --country <code>         Code pays ISO ou ALL (répétable, ou séparé par des virgules)
+  --status <statut>        active, inactive ou all
+  --media-type <type>      all, image, video, meme, image_and_meme ou none
+  --ad-type <type>         all, political_and_issue_ads, ...
+  --exact                  Recherche de la phrase exacte
+  --since <YYYY-MM-DD>     Annonces lancées à partir de cette date
+  --until <YYYY-MM-DD>     Annonces lancées jusqu'à cette date
+  --query-file <fichier>   Fichier JSON contenant une recherche (ou un tableau)
+
+Historique des annonces (commande history, alimenté par scrape et pipeline):
+  --advertiser <texte>     Nom, identifiant ou URL de page de l'annonceur
+  --min-days <n>           Durée minimale de diffusion en jours (défaut: 30)
+  --history-file <fichier> Fichier d'historique (défaut: history/ads.ndjson)
+
+Notifications (nouvelles annonces après un scraping, fichiers après un téléchargement):
+  --notify <fichier>       Destinations de notification (défaut: notify.json s'il existe)
+  --webhook <url>          Envoie la notification en JSON (POST) à cette URL (répétable)
+  --slack-webhook <url>    Envoie la notification à un incoming webhook Slack (répétable)
+  --notify-command "<cmd>" Exécute une commande locale (message dans $NOTIFY_MESSAGE,
+                           notification JSON sur l'entrée standard) (répétable)
+  --notify-advertiser <t>  Ne notifie que les annonces de cet annonceur (répétable)
+  --notify-template "<m>"  Message des notifications ({{count}}, {{ads}}, {{thumbnails}}...)
+
+Veille (commande watch, recherches relues à chaque passage):
+  --schedule "<cron>"      Planification cron à 5 champs (défaut: "0 7 * * *")
+  --wait                   Attend la première échéance au lieu de lancer un passage
+  --watch-folder <dossier> Dossier des résultats de chaque passage (défaut: ./watch)
+  -h, --help               Affiche cette aide
+`;
+
+/**
+ * Analyse les arguments de la ligne de commande
+ * @param {string[]} argv - Arguments (sans "node" ni le nom du script)
+ * @returns {Object} Commande, entrées et options
+ */
+function parseArgs(argv) {
+  const parsed = {
+    command: null,
+    inputs: [],
+    options: {
+      output: null,
+      formats: ['json'],
+      rows: null,
+      columns: null,
+      maxAds: null,
+      maxScrollTime: null,
+      extractor: null,
+      saveResponses: null,
+      profiles: null,
+      advertiser: null,
+      minDays: null,
+      historyFile: null,
+      schedule: null,
+      wait: false,
+      watchFolder: null,
+      variantPolicy: null,
+      maxBitrate: null,
+      notifyFile: null,
+      notifySinks: [],
+      notifyAdvertisers: [],
+      notifyTemplate: null,
+      queryFile: null,
+      fresh: false,
+      keepExpired: false,
+      proxy: null,
+      headers: {},
+      search: {},
+      help: false
+    }
+  };
+
+  const { search } = parsed.options;
+  const appendTo = (field, value) => {
+    if (!value) throw new Error(`Valeur manquante pour --${field}`);
+    search[field] = (search[field] || []).concat(value.split(',').map(v => v.trim()));
+  };
+
+  const readNumber = (name, value) => {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`Valeur invalide pour ${name}: ${value}`);
+    }
+    return number;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h' || arg === '--help') {
+      parsed.options.help = true;
+    } else if (arg === '-o' || arg === '--output') {
+      parsed.options.output = argv[++i] || null;
+    } else if (arg.startsWith('--output=')) {
+      parsed.options.output = arg.slice('--output='.length);
+    } else if (arg === '--format') {
+      const formats = (argv[++i] || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+      const invalid = formats.find(format => !EXPORT_CONFIG.FORMATS.includes(format));
+      if (formats.length === 0 || invalid) {
+        throw new Error(`Format invalide: ${invalid || ''} (attendu: ${EXPORT_CONFIG.FORMATS.join(', ')})`);
+      }
+      parsed.options.formats = formats;
+    } else if (arg === '--rows') {
+      const rows = argv[++i];
+      if (!ROW_TYPES.includes(rows)) {
+        throw new Error(`Type de lignes invalide: ${rows} (attendu: ${ROW_TYPES.join(', ')})`);
+      }
+      parsed.options.rows = rows;
+    } else if (arg === '--columns') {
+      const columns = (argv[++i] || '').split(',').map(v => v.trim()).filter(Boolean);
+      if (columns.length === 0) throw new Error('Valeur manquante pour --columns');
+      parsed.options.columns = columns;
+    } else if (arg === '--fresh') {
+      parsed.options.fresh = true;
+    } else if (arg === '--keep-expired') {
+      parsed.options.keepExpired = true;
+    } else if (arg === '--max-ads') {
+      parsed.options.maxAds = readNumber(arg, argv[++i]);
+    } else if (arg === '--max-scroll-time') {
+      parsed.options.maxScrollTime = readNumber(arg, argv[++i]);
+    } else if (arg === '--extractor') {
+      const extractor = argv[++i];
+      if (!EXTRACTORS.includes(extractor)) {
+        throw new Error(`Extracteur invalide: ${extractor} (attendu: ${EXTRACTORS.join(', ')})`);
+      }
+      parsed.options.extractor = extractor;
+    } else if (arg === '--save-responses') {
+      parsed.options.saveResponses = argv[++i] || null;
+    } else if (arg === '--schedule') {
+      parsed.options.schedule = argv[++i] || null;
+    } else if (arg === '--wait') {
+      parsed.options.wait = true;
+    } else if (arg === '--watch-folder') {
+      parsed.options.watchFolder = argv[++i] || null;
+    } else if (arg === '--advertiser') {
+      parsed.options.advertiser = argv[++i] || null;
+    } else if (arg === '--min-days') {
+      parsed.options.minDays = readNumber(arg, argv[++i]);
+    } else if (arg === '--history-file') {
+      parsed.options.historyFile = argv[++i] || null;
+    } else if (arg === '--notify') {
+      parsed.options.notifyFile = argv[++i] || null;
+    } else if (arg === '--webhook' || arg === '--slack-webhook') {
+      const url = argv[++i];
+      if (!/^https?:\/\//i.test(url || '')) throw new Error(`URL invalide pour ${arg}: ${url}`);
+      parsed.options.notifySinks.push({ type: arg === '--webhook' ? 'webhook' : 'slack', url });
+    } else if (arg === '--notify-command') {
+      const command = argv[++i];
+      if (!command) throw new Error('Valeur manquante pour --notify-command');
+      parsed.options.notifySinks.push({ type: 'command', command });
+    } else if (arg === '--notify-advertiser') {
+      const advertiser = argv[++i];
+      if (!advertiser) throw new Error('Valeur manquante pour --notify-advertiser');
+      parsed.options.notifyAdvertisers.push(advertiser);
+    } else if (arg === '--notify-template') {
+      parsed.options.notifyTemplate = argv[++i] || null;
+    } else if (arg === '--profiles') {
+      parsed.options.profiles = argv[++i] || null;
+    } else if (arg === '--variant-policy') {
+      const policy = argv[++i];
+      if (!VARIANT_POLICIES.includes(policy)) {
+        throw new Error(`Politique de variante invalide: ${policy} (attendu: ${VARIANT_POLICIES.join(', ')})`);
+      }
+      parsed.options.variantPolicy = policy;
+    } else if (arg === '--max-bitrate') {
+      parsed.options.maxBitrate = readNumber(arg, argv[++i]);
+    } else if (arg === '--proxy') {
+      parsed.options.proxy = argv[++i] || null;
+    } else if (arg === '--header') {
+      const header = argv[++i] || '';
+      const separator = header.indexOf(':');
+      if (separator <= 0) throw new Error(`Header invalide (attendu "Nom: valeur"): ${header}`);
+      parsed.options.headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+    } else if (arg === '--keyword') {
+      search.keywords = (search.keywords || []).concat(argv[++i] || []);
+    } else if (arg === '--page-id') {
+      appendTo('pageIds', argv[++i]);
+    } else if (arg === '--country') {
+      appendTo('countries', argv[++i]);
+    } else if (arg === '--status') {
+      search.activeStatus = argv[++i];
+    } else if (arg === '--media-type') {
+      search.mediaType = argv[++i];
+    } else if (arg === '--ad-type') {
+      search.adType = argv[++i];
+    } else if (arg === '--exact') {
+      search.exact = true;
+    } else if (arg === '--since') {
+      search.startDate = argv[++i];
+    } else if (arg === '--until') {
+      search.endDate = argv[++i];
+    } else if (arg === '--query-file') {
+      parsed.options.queryFile = argv[++i] || null;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Option inconnue: ${arg}`);
+    } else if (!parsed.command) {
+      parsed.command = arg;
+    } else {
+      parsed.inputs.push(arg);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Résout les entrées (URLs directes ou fichiers) en une liste d'URLs
+ * @param {string[]} inputs - URLs ou chemins de fichiers
+ * @returns {Promise<string[]>} URLs sans doublons
+ */
+async function resolveInputUrls(inputs) {
+  const urls = [];
+
+  for (const input of inputs) {
+    if (/^https?:\/\//i.test(input)) {
+      urls.push(...parseUrlsFromText(input));
+    } else {
+      const fileUrls = await loadUrlsFromFile(path.resolve(input));
+      console.log(`📄 ${fileUrls.length} URLs chargées depuis: ${input}`);
+      urls.push(...fileUrls);
+    }
+  }
+
+  return [...new Set(urls)];
+}
+
+/**
+ * Construit les URLs Ad Library des recherches passées en options
+ * @param {Object} options - Options de la ligne de commande
+ * @returns {Promise<string[]>} URLs de recherche générées
+ */
+async function resolveSearchUrls(options) {
+  const queries = [];
+
+  if (options.queryFile) {
+    const content = JSON.parse(await fs.readFile(path.resolve(options.queryFile), 'utf8'));
+    queries.push(...(Array.isArray(content) ? content : [content]));
+  }
+
+  if (Object.keys(options.search).length > 0) {
+    queries.push(options.search);
+  }
+
+  const urls = queries.flatMap(query => buildAdLibraryUrls(query));
+  if (urls.length > 0) {
+    console.log(`🔎 ${urls.length} URLs de recherche générées`);
+  }
+  return urls;
+}
+
+/**
+ * Détermine le type de média d'une URL de créative
+ * @param {string} src - URL de la créative
+ * @returns {string} 'video', 'image' ou 'other'
+ */
+function detectMediaType(src) {
+  let pathname;
+  try {
+    pathname = new URL(src).pathname.toLowerCase();
+  } catch (error) {
+    return 'other';
+  }
+
+  if (CONFIG.VIDEO_EXTENSIONS.some(ext => pathname.endsWith(ext))) return 'video';
+  if (CONFIG.IMAGE_EXTENSIONS.some(ext => pathname.endsWith(ext))) return 'image';
+  return 'other';
+}
+
+/**
+ * Répartit les URLs de créatives par type de média
+ * @param {string[]} srcs - URLs des créatives
+ * @returns {Object} URLs classées en images, vidéos et autres
+ */
+function classifyCreativeSrcs(srcs) {
+  const classified = { images: [], videos: [], other: [] };
+
+  for (const src of new Set(srcs)) {
+    const type = detectMediaType(src);
+    if (type === 'video') classified.videos.push(src);
+    else if (type === 'image') classified.images.push(src);
+    else classified.other.push(src);
+  }
+
+  return classified;
+}
+
+/**
+ * Enchaîne le scraping et les téléchargements d'images et de vidéos
+ * @param {string[]} urls - URLs des pages Ad Library
+ * @param {Object} options - Options transmises à chaque étape (ex: fresh)
+ * @returns {Promise<Object>} Résultats de chaque étape
+ */
+async function runPipeline(urls, options = {}) {
+  console.log('🔗 === PIPELINE: SCRAPING → TÉLÉCHARGEMENTS ===\n');
+
+  // Chaque étape transmet ses résultats avec son nom (exports au fil de l'eau)
+  const stage = (name) => ({
+    ...options,
+    onResult: options.onResult && ((result, index) => options.onResult(result, index, name))
+  });
+
+  const scraping = await scrapeCreativeUrls(urls, stage('scraping'));
+  const allSrcs = scraping.results.flatMap(r => r.creativeSrcs);
+  const media = classifyCreativeSrcs(allSrcs);
+
+  console.log(`\n🧮 Créatives triées: ${media.images.length} images, ${media.videos.length} vidéos, ${media.other.length} ignorées`);
+
+  const images = media.images.length > 0 ? await processFacebookImages(media.images, stage('images')) : null;
+  const videos = media.videos.length > 0 ? await processFacebookUrls(media.videos, stage('videos')) : null;
+
+  return {
+    summary: {
+      pagesScraped: urls.length,
+      totalCreatives: allSrcs.length,
+      images: media.images.length,
+      videos: media.videos.length,
+      ignored: media.other.length,
+      timestamp: new Date().toISOString()
+    },
+    scraping,
+    images,
+    videos,
+    ignored: media.other
+  };
+}
+
+/**
+ * Extrait les annonces de réponses JSON enregistrées avec --save-responses
+ * @param {string[]} files - Fichiers de réponses
+ * @param {Object} options - Options de la ligne de commande
+ */
+async function parseResponseFiles(files, options) {
+  if (files.length === 0) {
+    console.log('⚠️ Aucun fichier à analyser. Passez des réponses JSON en argument.');
+    return;
+  }
+
+  const ads = await extractAdsFromFiles(files.map(file => path.resolve(file)));
+  console.log(`🧬 ${ads.length} annonces extraites de ${files.length} fichiers`);
+
+  const defaultFilename = `graphql_ads_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+  await saveScrapingResults({
+    summary: {
+      files: files.length,
+      totalAds: ads.length,
+      timestamp: new Date().toISOString()
+    },
+    ads
+  }, options.output || defaultFilename);
+}
+
+/**
+ * Affiche les annonces de l'historique diffusées depuis au moins --min-days jours
+ * @param {Object} options - Options de la ligne de commande
+ */
+async function showHistory(options) {
+  const history = await openAdHistory(options.historyFile ? path.resolve(options.historyFile) : HISTORY_CONFIG.HISTORY_FILE);
+  const minDays = options.minDays !== null ? options.minDays : HISTORY_CONFIG.LONG_RUNNING_DAYS;
+  const ads = history.findLongRunning({ minDays, advertiser: options.advertiser });
+
+  console.log(`🗃️ ${history.getAds().length} annonces suivies dans: ${history.file}`);
+  console.log(`🏆 ${ads.length} annonces diffusées depuis ${minDays} jours ou plus${options.advertiser ? ` (annonceur: ${options.advertiser})` : ''}`);
+  ads.slice(0, 20).forEach(ad => {
+    const advertiser = (ad.advertiser && ad.advertiser.name) || '?';
+    console.log(`  📰 ${ad.libraryId} - ${advertiser}: ${ad.runningDays} jours (vue du ${ad.firstSeen.split('T')[0]} au ${ad.lastSeen.split('T')[0]}, ${ad.isActive ? 'active' : 'inactive'})`);
+  });
+
+  const defaultFilename = `long_running_ads_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+  await saveScrapingResults({
+    summary: {
+      trackedAds: history.getAds().length,
+      minDays,
+      advertiser: options.advertiser,
+      matchingAds: ads.length,
+      timestamp: new Date().toISOString()
+    },
+    ads
+  }, options.output || defaultFilename);
+}
+
+/**
+ * Compare deux runs (ou un run avec l'historique) et enregistre le rapport
+ * Le JSON est accompagné d'un rapport Markdown du même nom.
+ * @param {string[]} files - Un fichier (comparé à l'historique) ou deux (ancien puis nouveau)
+ * @param {Object} options - Options de la ligne de commande
+ */
+async function runDiff(files, options) {
+  if (files.length === 0 || files.length > 2) {
+    throw new Error('diff attend un fichier de résultats (comparé à l\'historique) ou deux (ancien puis nouveau)');
+  }
+
+  const [first, second] = files.map(file => path.resolve(file));
+  const historyFile = options.historyFile ? path.resolve(options.historyFile) : HISTORY_CONFIG.HISTORY_FILE;
+  const diff = second ? await diffRuns(first, second) : await diffAgainstHistory(first, historyFile);
+  const report = formatDiffReport(diff);
+  console.log(report);
+
+  const filename = options.output || `diff_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+  await saveScrapingResults(diff, filename);
+  const reportFile = path.join(process.cwd(), filename.replace(/\.json$/i, '') + '.md');
+  await fs.writeFile(reportFile, report, 'utf8');
+  console.log(`📝 Rapport: ${reportFile}`);
+}
+
+/**
+ * Lance la veille sur les recherches passées en options (fichier relu à chaque passage)
+ * @param {string[]} inputs - URLs ou fichiers d'URLs
+ * @param {Object} options - Options de la ligne de commande
+ */
+async function runWatch(inputs, options) {
+  if (!options.queryFile && Object.keys(options.search).length === 0 && inputs.length === 0) {
+    throw new Error('watch attend des recherches: --query-file, options de recherche, URLs ou fichiers');
+  }
+
+  applyOptions(options);
+  await checkNotificationSinks(options);
+  if (options.watchFolder) {
+    WATCH_CONFIG.OUTPUT_FOLDER = path.resolve(options.watchFolder);
+  }
+
+  const watcher = startWatch({
+    schedule: options.schedule || undefined,
+    runOnStart: options.wait ? false : undefined,
+    loadUrls: async () => [...new Set([...await resolveSearchUrls(options), ...await resolveInputUrls(inputs)])]
+  });
+  await watcher.done;
+}
+
+/**
+ * Applique les options de la ligne de commande à la configuration des modules
+ * @param {Object} options - Options de la ligne de commande
+ */
+function applyOptions(options) {
+  if (options.keepExpired) {
+    FBCDN_CONFIG.SKIP_EXPIRED = false;
+  }
+  if (options.proxy) {
+    HTTP_CONFIG.PROXY = options.proxy;
+  }
+  Object.assign(HTTP_CONFIG.HEADERS, options.headers);
+  if (options.maxAds !== null) {
+    SCRAPER_CONFIG.SCROLL.MAX_ADS = options.maxAds;
+  }
+  if (options.maxScrollTime !== null) {
+    SCRAPER_CONFIG.SCROLL.MAX_SCROLL_TIME = options.maxScrollTime * 1000;
+  }
+  if (options.extractor) {
+    SCRAPER_CONFIG.EXTRACTOR = options.extractor;
+  }
+  if (options.historyFile) {
+    HISTORY_CONFIG.HISTORY_FILE = path.resolve(options.historyFile);
+  }
+  if (options.profiles) {
+    SELECTOR_CONFIG.PROFILES_FILE = path.resolve(options.profiles);
+  }
+  if (options.variantPolicy) {
+    VIDEO_CONFIG.VARIANT_POLICY = options.variantPolicy;
+  }
+  if (options.maxBitrate !== null) {
+    VIDEO_CONFIG.MAX_BITRATE = options.maxBitrate;
+  }
+  if (options.saveResponses) {
+    GRAPHQL_CONFIG.SAVE_RESPONSES_FOLDER = path.resolve(options.saveResponses);
+  }
+  if (options.rows) {
+    EXPORT_CONFIG.ROWS = options.rows;
+  }
+  if (options.columns) {
+    EXPORT_CONFIG.COLUMNS = options.columns;
+  }
+  if (options.notifyFile) {
+    NOTIFIER_CONFIG.SINKS_FILE = path.resolve(options.notifyFile);
+  }
+  NOTIFIER_CONFIG.SINKS.push(...options.notifySinks.map(sink => ({
+    ...sink,
+    advertisers: options.notifyAdvertisers.length > 0 ? options.notifyAdvertisers : undefined,
+    template: options.notifyTemplate || undefined
+  })));
+}
+
+/**
+ * Vérifie les destinations de notification avant de lancer un traitement
+ * @param {Object} options - Options de la ligne de commande
+ */
+async function checkNotificationSinks(options) {
+  if (options.notifyFile) {
+    await fs.access(NOTIFIER_CONFIG.SINKS_FILE).catch(() => {
+      throw new Error(`Fichier de notifications introuvable: ${NOTIFIER_CONFIG.SINKS_FILE}`);
+    });
+  }
+
+  const sinks = await loadNotificationSinks();
+  if (sinks.length > 0) {
+    console.log(`🔔 Notifications: ${sinks.map(sink => sink.name).join(', ')}`);
+  }
+}
+
+/**
+ * Exécute une commande de la CLI
+ * @param {string} command - Nom de la commande
+ * @param {string[]} urls - URLs à traiter
+ * @param {Object} options - Options de la ligne de commande
+ */
+async function runCommand(command, urls, options) {
+  // Les exports partagent le nom du fichier JSON (sans extension)
+  const basename = options.output
+    ? options.output.replace(/\.(json|csv|ndjson|xlsx)$/i, '')
+    : `${DEFAULT_OUTPUTS[command]}_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  const output = options.output && !/\.(csv|ndjson|xlsx)$/i.test(options.output) ? options.output : `${basename}.json`;
+  const jobOptions = { fresh: options.fresh };
+
+  // NDJSON: les lignes de chaque URL sont écrites dès qu'elle est traitée (un fichier par étape)
+  // Un échec d'écriture est signalé sans interrompre le job: les résultats restent dans le JSON
+  const writers = new Map();
+  const failedWriters = new Set();
+  if (options.formats.includes('ndjson')) {
+    jobOptions.onResult = async (result, index, stage) => {
+      const filename = stage ? `${basename}.${stage}.ndjson` : `${basename}.ndjson`;
+      if (!writers.has(filename)) writers.set(filename, createNdjsonWriter(filename));
+      try {
+        await writers.get(filename).write(result);
+      } catch (error) {
+        if (!failedWriters.has(filename)) {
+          failedWriters.add(filename);
+          console.error(`⚠️ Export NDJSON impossible (${filename}):`, error.message);
+        }
+      }
+    };
+  }
+
+  applyOptions(options);
+  await checkNotificationSinks(options);
+
+  let data;
+  let save;
+  let tables;
+
+  try {
+    switch (command) {
+      case 'scrape':
+        data = await scrapeCreativeUrls(urls, jobOptions);
+        save = saveScrapingResults;
+        tables = [{ name: 'scraping', results: data.results }];
+        break;
+
+      case 'download-images':
+        data = await processFacebookImages(urls, jobOptions);
+        save = saveImageResults;
+        tables = [{ name: 'images', results: data.results }];
+        break;
+
+      case 'download-videos':
+        data = await processFacebookUrls(urls, jobOptions);
+        save = saveVideoResults;
+        tables = [{ name: 'videos', results: data.results }];
+        break;
+
+      case 'pipeline':
+        data = await runPipeline(urls, jobOptions);
+        save = saveScrapingResults;
+        tables = ['scraping', 'images', 'videos']
+          .filter(stage => data[stage])
+          .map(stage => ({ name: stage, results: data[stage].results }));
+        break;
+    }
+  } finally {
+    for (const writer of writers.values()) {
+      const error = await writer.close();
+      if (error) {
+        console.error(`⚠️ Export NDJSON incomplet: ${writer.file} (${error.message})`);
+      } else {
+        console.log(`📝 Export NDJSON: ${writer.file}`);
+      }
+    }
+  }
+
+  if (options.formats.includes('json')) {
+    await save(data, output);
+  }
+  await exportResults(tables, basename, { formats: options.formats });
+}
+
+/**
+ * Fonction principale d'exécution
+ */
+async function main() {
+  try {
+    const { command, inputs, options } = parseArgs(process.argv.slice(2));
+
+    if (options.help || !command) {
+      console.log(USAGE);
+      return;
+    }
+
+    if (!COMMANDS.includes(command)) {
+      console.error(`❌ Commande inconnue: ${command}`);
+      console.log(USAGE);
+      process.exit(1);
+    }
+
+    // Analyse hors ligne: les entrées sont des fichiers de réponses, pas des URLs
+    if (command === 'parse-responses') {
+      await parseResponseFiles(inputs, options);
+      return;
+    }
+    if (command === 'history') {
+      await showHistory(options);
+      return;
+    }
+    if (command === 'diff') {
+      await runDiff(inputs, options);
+      return;
+    }
+    if (command === 'watch') {
+      await runWatch(inputs, options);
+      return;
+    }
+
+    const searchUrls = await resolveSearchUrls(options);
+    const urls = [...new Set([...searchUrls, ...await resolveInputUrls(inputs)])];
+
+    if (urls.length === 0) {
+      console.log('⚠️ Aucune URL à traiter. Passez des URLs ou des fichiers en argument.');
+      return;
+    }
+
+    await runCommand(command, urls, options);
+
+  } catch (error) {
+    console.error('💥 Erreur dans main():', error);
+    process.exit(1);
+  }
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  parseArgs,
+  resolveInputUrls,
+  resolveSearchUrls,
+  detectMediaType,
+  classifyCreativeSrcs,
+  runPipeline,
+  parseResponseFiles,
+  showHistory,
+  runDiff,
+  runWatch,
+  runCommand,
+  CONFIG
+};
+
+// Exécution si le script est lancé directement
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,130 @@
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Ignorer les URLs dont la signature a déjà expiré (aucune requête envoyée)
+  SKIP_EXPIRED: true,
+
+  // Avertir quand une URL expire dans moins de ce délai (en ms)
+  WARN_BEFORE: 6 * 60 * 60 * 1000 // 6h
+};
+
+/**
+ * Lit la date d'expiration d'une URL fbcdn signée
+ * Le paramètre oe est un timestamp Unix en hexadécimal (ex: oe=683A8FAE).
+ * @param {string} url - URL fbcdn
+ * @returns {Date|null} Date d'expiration ou null si absente
+ */
+function getUrlExpiry(url) {
+  let oe;
+  try {
+    oe = new URL(url).searchParams.get('oe');
+  } catch (error) {
+    return null;
+  }
+
+  if (!oe || !/^[0-9a-f]+$/i.test(oe)) return null;
+  return new Date(parseInt(oe, 16) * 1000);
+}
+
+/**
+ * Décrit l'état d'expiration d'une URL fbcdn
+ * @param {string} url - URL fbcdn
+ * @param {number} now - Instant de référence (ms)
+ * @returns {Object} Date d'expiration, temps restant et indicateurs
+ */
+function checkUrlExpiry(url, now = Date.now()) {
+  const expiry = getUrlExpiry(url);
+  if (!expiry) {
+    return { expiresAt: null, remainingMs: null, expired: false, expiringSoon: false };
+  }
+
+  const remainingMs = expiry.getTime() - now;
+  return {
+    expiresAt: expiry.toISOString(),
+    remainingMs,
+    expired: remainingMs <= 0,
+    expiringSoon: remainingMs > 0 && remainingMs < CONFIG.WARN_BEFORE
+  };
+}
+
+/**
+ * Formate un délai en texte lisible (ex: "2j 5h", "3h 12min")
+ * @param {number} ms - Délai en millisecondes
+ * @returns {string}
+ */
+function formatDelay(ms) {
+  const minutes = Math.floor(Math.abs(ms) / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}j ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}min`;
+  return `${minutes}min`;
+}
+
+/**
+ * Extrait l'identifiant numérique d'un média fbcdn depuis le chemin de l'URL
+ * Il reste identique quand Facebook renouvelle la signature de l'URL.
+ * @param {string} url - URL fbcdn (ex: .../488573191_1351136402769184_7297854576896494413_n.mp4)
+ * @returns {string|null} Identifiant (ex: 488573191_1351136402769184_7297854576896494413)
+ */
+function getMediaId(url) {
+  let filename;
+  try {
+    filename = new URL(url).pathname.split('/').pop();
+  } catch (error) {
+    return null;
+  }
+
+  const match = /^(\d+(?:_\d+)+)/.exec(filename);
+  return match ? match[1] : null;
+}
+
+/**
+ * Lit les informations d'encodage d'une URL vidéo fbcdn
+ * Le paramètre efg contient un JSON en base64 (vencode_tag, duration_s, bitrate)
+ * décrivant la variante servie (ex: "..._720p", "...C3.1280.dash_baseline_1_v1").
+ * @param {string} url - URL vidéo fbcdn
+ * @returns {Object} Tag d'encodage, résolution (ex: 720 pour 720p), débit (bit/s) et durée (s), null si inconnus
+ */
+function getVideoEncoding(url) {
+  const encoding = { tag: null, resolution: null, bitrate: null, durationSeconds: null };
+  let efg;
+  try {
+    efg = JSON.parse(Buffer.from(new URL(url).searchParams.get('efg') || '', 'base64').toString('utf8'));
+  } catch (error) {
+    return encoding;
+  }
+
+  encoding.tag = typeof efg.vencode_tag === 'string' ? efg.vencode_tag : null;
+  const resolution = encoding.tag && (/(\d{3,4})p\b/.exec(encoding.tag) || /\.C3\.(\d{3,4})\./.exec(encoding.tag));
+  encoding.resolution = resolution ? parseInt(resolution[1], 10) : null;
+  encoding.bitrate = Number(efg.bitrate) || null;
+  encoding.durationSeconds = Number(efg.duration_s) || null;
+  return encoding;
+}
+
+/**
+ * Trie des index d'URLs pour traiter d'abord celles qui expirent le plus tôt
+ * Les URLs sans date d'expiration passent en dernier; l'ordre initial est
+ * conservé à expiration égale.
+ * @param {number[]} indexes - Index à trier
+ * @param {string[]} urls - URLs correspondantes
+ * @returns {number[]} Index triés
+ */
+function sortIndexesByExpiry(indexes, urls) {
+  const expiryOf = (index) => {
+    const expiry = getUrlExpiry(urls[index]);
+    return expiry ? expiry.getTime() : Infinity;
+  };
+  return [...indexes].sort((a, b) => (expiryOf(a) - expiryOf(b)) || (a - b));
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  getUrlExpiry,
+  checkUrlExpiry,
+  formatDelay,
+  getMediaId,
+  getVideoEncoding,
+  sortIndexesByExpiry,
+  CONFIG
+};
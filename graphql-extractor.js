@@ -0,0 +1,255 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Réponses de l'Ad Library analysées (API GraphQL interne)
+  URL_PATTERN: /facebook\.com\/api\/graphql\/?/,
+
+  // Dossier où enregistrer les réponses capturées (fixtures rejouables hors ligne, null = désactivé)
+  SAVE_RESPONSES_FOLDER: null
+};
+
+// Noms affichés des plateformes (identiques à ceux lus dans le DOM)
+const PLATFORM_NAMES = {
+  FACEBOOK: 'Facebook',
+  INSTAGRAM: 'Instagram',
+  MESSENGER: 'Messenger',
+  AUDIENCE_NETWORK: 'Audience Network',
+  THREADS: 'Threads',
+  WHATSAPP: 'WhatsApp'
+};
+
+// Compteur des fixtures enregistrées: plusieurs pages peuvent finir dans la même milliseconde
+let savedFixtures = 0;
+
+/**
+ * Découpe une réponse de l'API en objets JSON
+ * Les réponses peuvent être préfixées par "for (;;);" et contenir plusieurs
+ * objets séparés par des retours à la ligne (réponses en flux).
+ * @param {string} text - Corps de la réponse
+ * @returns {Object[]} Objets JSON lisibles
+ */
+function parseGraphqlPayload(text) {
+  const cleaned = text.replace(/^\s*for\s*\(;;\);/, '').trim();
+  if (!cleaned) return [];
+
+  try {
+    return [JSON.parse(cleaned)];
+  } catch (error) {
+    // Plusieurs objets: un par ligne
+  }
+
+  return cleaned.split(/\r?\n/).flatMap(line => {
+    try {
+      return line.trim() ? [JSON.parse(line)] : [];
+    } catch (error) {
+      return [];
+    }
+  });
+}
+
+/**
+ * Parcourt un objet JSON et collecte les nœuds d'annonces (ad_archive_id + snapshot)
+ * La recherche ne dépend pas du chemin exact, qui change d'une version à l'autre.
+ * @param {*} value - Objet à parcourir
+ * @param {Object[]} found - Nœuds déjà trouvés
+ * @returns {Object[]} Nœuds d'annonces
+ */
+function findAdNodes(value, found = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => findAdNodes(item, found));
+  } else if (value && typeof value === 'object') {
+    if (value.ad_archive_id && value.snapshot) {
+      found.push(value);
+    } else {
+      Object.values(value).forEach(item => findAdNodes(item, found));
+    }
+  }
+  return found;
+}
+
+/**
+ * Renvoie le texte d'un champ du snapshot (texte simple ou markup HTML)
+ * @param {*} field - Champ (string, { text } ou { markup: { __html } })
+ * @returns {string|null}
+ */
+function readText(field) {
+  if (!field) return null;
+  if (typeof field === 'string') return field.trim() || null;
+
+  const raw = field.text || (field.markup && field.markup.__html) || '';
+  const text = raw
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#039;/g, '\'')
+    .trim();
+  return text || null;
+}
+
+/**
+ * Convertit un timestamp Unix (secondes) en date AAAA-MM-JJ
+ * @param {number} seconds - Timestamp
+ * @returns {string|null}
+ */
+function toDate(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString().split('T')[0] : null;
+}
+
+/**
+ * Liste les médias d'un snapshot (vidéos HD/SD, images et cartes de carrousel)
+ * @param {Object} snapshot - Snapshot de l'annonce
+ * @returns {Object[]} Médias ({ type, url, poster, variants, source })
+ */
+function collectSnapshotMedia(snapshot) {
+  const media = [];
+  const addVideo = (video) => {
+    const hdUrl = video.video_hd_url || null;
+    const sdUrl = video.video_sd_url || null;
+    if (!hdUrl && !sdUrl) return;
+    media.push({
+      type: 'video',
+      url: hdUrl || sdUrl,
+      poster: video.video_preview_image_url || null,
+      variants: [{ url: hdUrl, quality: 'hd' }, { url: sdUrl, quality: 'sd' }].filter(v => v.url),
+      source: 'graphql'
+    });
+  };
+  const addImage = (image) => {
+    const url = image.original_image_url || image.resized_image_url;
+    if (url) media.push({ type: 'image', url, poster: null, source: 'graphql' });
+  };
+
+  (snapshot.videos || []).concat(snapshot.extra_videos || []).forEach(addVideo);
+  (snapshot.images || []).concat(snapshot.extra_images || []).forEach(addImage);
+  (snapshot.cards || []).forEach(card => {
+    if (card.video_hd_url || card.video_sd_url) addVideo(card);
+    else addImage(card);
+  });
+
+  return media.filter((item, i, all) => all.findIndex(m => m.url === item.url) === i);
+}
+
+/**
+ * Convertit un nœud d'annonce GraphQL en annonce normalisée (même format que le DOM)
+ * @param {Object} node - Nœud contenant ad_archive_id et snapshot
+ * @returns {Object} Annonce normalisée
+ */
+function normalizeGraphqlAd(node) {
+  const snapshot = node.snapshot || {};
+  const firstCard = (snapshot.cards || [])[0] || {};
+  const pageId = node.page_id || snapshot.page_id || null;
+
+  return {
+    libraryId: String(node.ad_archive_id),
+    advertiser: {
+      name: node.page_name || snapshot.page_name || null,
+      pageUrl: snapshot.page_profile_uri || (pageId ? `https://www.facebook.com/${pageId}` : null),
+      pageId: pageId ? String(pageId) : null
+    },
+    startDate: toDate(node.start_date),
+    startDateText: null,
+    endDate: toDate(node.end_date),
+    isActive: typeof node.is_active === 'boolean' ? node.is_active : null,
+    platforms: (node.publisher_platform || []).map(name => PLATFORM_NAMES[name] || name),
+    text: readText(snapshot.body) || readText(firstCard.body),
+    title: readText(snapshot.title) || readText(firstCard.title),
+    cta: snapshot.cta_text || firstCard.cta_text || null,
+    landingUrl: snapshot.link_url || firstCard.link_url || null,
+    displayFormat: snapshot.display_format || null,
+    collationCount: node.collation_count || null,
+    media: collectSnapshotMedia(snapshot)
+  };
+}
+
+/**
+ * Extrait les annonces normalisées d'un ensemble de réponses (sans doublons)
+ * @param {string[]} payloads - Corps des réponses (ou JSON embarqués dans la page)
+ * @returns {Object[]} Annonces normalisées
+ */
+function extractAdsFromPayloads(payloads) {
+  const ads = new Map();
+
+  payloads.forEach(text => {
+    parseGraphqlPayload(text).forEach(json => {
+      findAdNodes(json).forEach(node => {
+        const id = String(node.ad_archive_id);
+        if (!ads.has(id)) ads.set(id, normalizeGraphqlAd(node));
+      });
+    });
+  });
+
+  return [...ads.values()];
+}
+
+/**
+ * Extrait les annonces de réponses enregistrées sur disque (fixtures)
+ * @param {string[]} files - Fichiers de réponses
+ * @returns {Promise<Object[]>} Annonces normalisées
+ */
+async function extractAdsFromFiles(files) {
+  const payloads = await Promise.all(files.map(file => fs.readFile(file, 'utf8')));
+  return extractAdsFromPayloads(payloads);
+}
+
+/**
+ * Commence à enregistrer les réponses GraphQL d'une page
+ * @param {puppeteer.Page} page - Page à surveiller
+ * @returns {Object} { stop() } qui renvoie (Promise) les corps des réponses et des JSON embarqués
+ */
+function startGraphqlCapture(page) {
+  const bodies = [];
+  let collected = null;
+
+  const onResponse = (response) => {
+    if (!CONFIG.URL_PATTERN.test(response.url())) return;
+    bodies.push(response.text().catch(() => ''));
+  };
+  page.on('response', onResponse);
+
+  const collect = async () => {
+    // Données initiales: JSON embarqués dans le HTML de la page
+    const embedded = await page.evaluate(() => Array.from(document.querySelectorAll('script[type="application/json"]'))
+      .map(script => script.textContent)
+      .filter(text => text.includes('ad_archive_id'))).catch(() => []);
+
+    const payloads = (await Promise.all(bodies.concat(embedded))).filter(text => text.includes('ad_archive_id'));
+    if (CONFIG.SAVE_RESPONSES_FOLDER && payloads.length > 0) {
+      await saveFixtures(payloads);
+    }
+    return payloads;
+  };
+
+  return {
+    stop() {
+      if (!collected) {
+        page.off('response', onResponse);
+        collected = collect();
+      }
+      return collected;
+    }
+  };
+}
+
+/**
+ * Enregistre des réponses capturées pour les rejouer hors ligne
+ * @param {string[]} payloads - Corps des réponses
+ */
+async function saveFixtures(payloads) {
+  const folder = CONFIG.SAVE_RESPONSES_FOLDER;
+  await fs.mkdir(folder, { recursive: true });
+  const prefix = new Date().toISOString().replace(/[:.]/g, '-');
+  await Promise.all(payloads.map(text => fs.writeFile(path.join(folder, `graphql_${prefix}_${++savedFixtures}.json`), text, 'utf8')));
+  console.log(`💾 ${payloads.length} réponses enregistrées dans: ${folder}`);
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  parseGraphqlPayload,
+  findAdNodes,
+  normalizeGraphqlAd,
+  extractAdsFromPayloads,
+  extractAdsFromFiles,
+  startGraphqlCapture,
+  CONFIG
+};
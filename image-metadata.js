@@ -0,0 +1,432 @@
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Formats reconnus par leur signature (magic bytes)
+  FORMATS: {
+    jpeg: { extension: '.jpg', mimeType: 'image/jpeg' },
+    png: { extension: '.png', mimeType: 'image/png' },
+    gif: { extension: '.gif', mimeType: 'image/gif' },
+    webp: { extension: '.webp', mimeType: 'image/webp' },
+    bmp: { extension: '.bmp', mimeType: 'image/bmp' }
+  }
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// Types de couleur PNG (octet 25 de IHDR)
+const PNG_COLOR_TYPES = {
+  0: { colorType: 'grayscale', hasAlpha: false },
+  2: { colorType: 'rgb', hasAlpha: false },
+  3: { colorType: 'palette', hasAlpha: false },
+  4: { colorType: 'grayscale', hasAlpha: true },
+  6: { colorType: 'rgb', hasAlpha: true }
+};
+
+// Nombre de composantes JPEG -> espace colorimétrique
+const JPEG_COLOR_TYPES = { 1: 'grayscale', 3: 'ycbcr', 4: 'cmyk' };
+
+/**
+ * Identifie le format d'une image par sa signature
+ * @param {Buffer} buffer - Premiers octets de l'image
+ * @returns {string|null} 'jpeg', 'png', 'gif', 'webp', 'bmp' ou null
+ */
+function detectFormatFromBytes(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('ascii', 0, 6))) return 'gif';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.length >= 2 && buffer.toString('ascii', 0, 2) === 'BM') return 'bmp';
+  return null;
+}
+
+/**
+ * Lit l'orientation EXIF d'un bloc TIFF (tag 0x0112 de l'IFD0)
+ * @param {Buffer} buffer - Buffer contenant le bloc
+ * @param {number} start - Début de l'en-tête TIFF ("II" ou "MM")
+ * @returns {number|null} Orientation (1 à 8) ou null
+ */
+function readExifOrientation(buffer, start) {
+  if (start + 8 > buffer.length) return null;
+
+  const byteOrder = buffer.toString('ascii', start, start + 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+  const little = byteOrder === 'II';
+  const read16 = (offset) => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const read32 = (offset) => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  const ifdOffset = start + read32(start + 4);
+  if (ifdOffset + 2 > buffer.length) return null;
+
+  const entries = read16(ifdOffset);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > buffer.length) break;
+    if (read16(entry) === 0x0112) {
+      const orientation = read16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Analyse les segments JPEG (SOF de base, étendus et progressifs, APP1 EXIF)
+ * @param {Buffer} buffer - Contenu de l'image
+ * @returns {Object} Métadonnées JPEG
+ */
+function readJpegMetadata(buffer) {
+  const metadata = { progressive: false, orientation: null };
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      offset++;
+      continue;
+    }
+
+    const marker = buffer[offset + 1];
+
+    // Octets de remplissage et marqueurs sans longueur
+    if (marker === 0xFF) {
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+      offset += 2;
+      continue;
+    }
+    // Début des données compressées ou fin d'image
+    if (marker === 0xDA || marker === 0xD9) break;
+
+    const length = buffer.readUInt16BE(offset + 2);
+
+    // APP1 EXIF
+    if (marker === 0xE1 && buffer.toString('ascii', offset + 4, offset + 10) === 'Exif\0\0') {
+      metadata.orientation = readExifOrientation(buffer, offset + 10);
+    }
+
+    // SOF0 à SOF15, sauf DHT (C4), JPG (C8) et DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      if (offset + 10 > buffer.length) break;
+      const components = buffer[offset + 9];
+      metadata.bitDepth = buffer[offset + 4];
+      metadata.height = buffer.readUInt16BE(offset + 5);
+      metadata.width = buffer.readUInt16BE(offset + 7);
+      metadata.colorType = JPEG_COLOR_TYPES[components] || `${components} composantes`;
+      metadata.hasAlpha = false;
+      // SOF2, SOF6, SOF10 et SOF14 sont progressifs
+      metadata.progressive = [0xC2, 0xC6, 0xCA, 0xCE].includes(marker);
+    }
+
+    offset += length + 2;
+  }
+
+  return metadata;
+}
+
+/**
+ * Analyse les chunks PNG (IHDR, acTL pour l'APNG, eXIf)
+ * @param {Buffer} buffer - Contenu de l'image
+ * @returns {Object} Métadonnées PNG
+ */
+function readPngMetadata(buffer) {
+  const color = PNG_COLOR_TYPES[buffer[25]] || { colorType: 'inconnu', hasAlpha: false };
+  const metadata = {
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20),
+    bitDepth: buffer[24],
+    colorType: color.colorType,
+    hasAlpha: color.hasAlpha,
+    progressive: buffer[28] === 1,
+    orientation: null
+  };
+
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+
+    if (type === 'tRNS') metadata.hasAlpha = true;
+    if (type === 'acTL' && offset + 12 <= buffer.length) {
+      metadata.frameCount = buffer.readUInt32BE(offset + 8);
+      metadata.animated = metadata.frameCount > 1;
+    }
+    if (type === 'eXIf') metadata.orientation = readExifOrientation(buffer, offset + 8);
+    if (type === 'IDAT' || type === 'IEND') break;
+
+    offset += length + 12;
+  }
+
+  return metadata;
+}
+
+/**
+ * Saute les sous-blocs GIF (taille + données, terminés par un bloc vide)
+ * @param {Buffer} buffer - Contenu de l'image
+ * @param {number} offset - Début des sous-blocs
+ * @returns {number} Position après le bloc terminal
+ */
+function skipGifSubBlocks(buffer, offset) {
+  while (offset < buffer.length && buffer[offset] !== 0) {
+    offset += buffer[offset] + 1;
+  }
+  return offset + 1;
+}
+
+/**
+ * Analyse un GIF et compte ses images
+ * @param {Buffer} buffer - Contenu de l'image
+ * @returns {Object} Métadonnées GIF
+ */
+function readGifMetadata(buffer) {
+  const packed = buffer[10];
+  const metadata = {
+    width: buffer.readUInt16LE(6),
+    height: buffer.readUInt16LE(8),
+    bitDepth: (packed & 0x07) + 1,
+    colorType: 'palette',
+    hasAlpha: false,
+    progressive: false,
+    orientation: null
+  };
+
+  let offset = 13;
+  if (packed & 0x80) offset += 3 * (1 << ((packed & 0x07) + 1));
+
+  let frames = 0;
+  while (offset < buffer.length) {
+    const block = buffer[offset];
+
+    if (block === 0x2C) {
+      // Descripteur d'image (+ table de couleurs locale éventuelle)
+      if (offset + 10 > buffer.length) break;
+      frames++;
+      const localPacked = buffer[offset + 9];
+      if (localPacked & 0x40) metadata.progressive = true;
+      offset += 10;
+      if (localPacked & 0x80) offset += 3 * (1 << ((localPacked & 0x07) + 1));
+      offset = skipGifSubBlocks(buffer, offset + 1);
+    } else if (block === 0x21) {
+      // Extension (contrôle graphique: indicateur de transparence)
+      if (buffer[offset + 1] === 0xF9 && buffer[offset + 3] & 0x01) metadata.hasAlpha = true;
+      offset = skipGifSubBlocks(buffer, offset + 2);
+    } else {
+      break;
+    }
+  }
+
+  metadata.frameCount = frames;
+  metadata.animated = frames > 1;
+  return metadata;
+}
+
+/**
+ * Analyse un WebP (VP8 avec perte, VP8L sans perte, VP8X étendu/animé)
+ * @param {Buffer} buffer - Contenu de l'image
+ * @returns {Object} Métadonnées WebP
+ */
+function readWebpMetadata(buffer) {
+  const metadata = { colorType: 'rgb', hasAlpha: false, progressive: false, orientation: null, frameCount: 1, animated: false };
+  let frames = 0;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const data = offset + 8;
+
+    if (type === 'VP8 ' && metadata.width === undefined && data + 10 <= buffer.length) {
+      // Start code 9d 01 2a puis largeur/hauteur sur 14 bits
+      metadata.width = buffer.readUInt16LE(data + 6) & 0x3FFF;
+      metadata.height = buffer.readUInt16LE(data + 8) & 0x3FFF;
+      metadata.compression = 'lossy';
+    } else if (type === 'VP8L' && metadata.width === undefined && data + 5 <= buffer.length) {
+      const bits = buffer.readUInt32LE(data + 1);
+      metadata.width = (bits & 0x3FFF) + 1;
+      metadata.height = ((bits >> 14) & 0x3FFF) + 1;
+      metadata.hasAlpha = Boolean((bits >> 28) & 0x01);
+      metadata.compression = 'lossless';
+    } else if (type === 'VP8X' && data + 10 <= buffer.length) {
+      const flags = buffer[data];
+      metadata.hasAlpha = Boolean(flags & 0x10);
+      metadata.animated = Boolean(flags & 0x02);
+      metadata.width = buffer.readUIntLE(data + 4, 3) + 1;
+      metadata.height = buffer.readUIntLE(data + 7, 3) + 1;
+    } else if (type === 'ALPH') {
+      metadata.hasAlpha = true;
+    } else if (type === 'ANMF') {
+      frames++;
+    } else if (type === 'EXIF') {
+      // Certains encodeurs conservent l'en-tête "Exif\0\0"
+      const start = buffer.toString('ascii', data, data + 6) === 'Exif\0\0' ? data + 6 : data;
+      metadata.orientation = readExifOrientation(buffer, start);
+    }
+
+    offset = data + size + (size % 2);
+  }
+
+  if (metadata.animated) {
+    metadata.frameCount = frames;
+  }
+  return metadata;
+}
+
+/**
+ * Analyse un BMP (en-tête BITMAPINFOHEADER ou plus récent)
+ * @param {Buffer} buffer - Contenu de l'image
+ * @returns {Object} Métadonnées BMP
+ */
+function readBmpMetadata(buffer) {
+  const headerSize = buffer.readUInt32LE(14);
+
+  // Ancien en-tête OS/2 (BITMAPCOREHEADER)
+  if (headerSize === 12) {
+    return {
+      width: buffer.readUInt16LE(18),
+      height: buffer.readUInt16LE(20),
+      bitDepth: buffer.readUInt16LE(24),
+      colorType: 'rgb',
+      hasAlpha: false,
+      progressive: false,
+      orientation: null
+    };
+  }
+
+  const bitDepth = buffer.readUInt16LE(28);
+  return {
+    width: buffer.readInt32LE(18),
+    // Une hauteur négative indique une image stockée de haut en bas
+    height: Math.abs(buffer.readInt32LE(22)),
+    bitDepth,
+    colorType: bitDepth <= 8 ? 'palette' : 'rgb',
+    hasAlpha: bitDepth === 32,
+    progressive: false,
+    orientation: null
+  };
+}
+
+/**
+ * Crée un compteur d'images GIF ou WebP alimenté au fil du téléchargement
+ * Seuls les en-têtes de blocs sont gardés en mémoire: les données d'image sont
+ * sautées sans être conservées, quelle que soit la taille du fichier.
+ * @param {string} format - Format détecté ('gif' ou 'webp', sinon null est renvoyé)
+ * @returns {Object|null} { push(chunk), frameCount }
+ */
+function createFrameCounter(format) {
+  // Étapes de lecture: octets nécessaires, puis traitement qui renvoie l'étape
+  // suivante et le nombre d'octets à sauter
+  const steps = {
+    gif: {
+      screen: [13, (bytes) => {
+        const packed = bytes[10];
+        return ['block', packed & 0x80 ? 3 * (1 << ((packed & 0x07) + 1)) : 0];
+      }],
+      block: [1, (bytes) => {
+        if (bytes[0] === 0x2C) return ['image', 0];
+        if (bytes[0] === 0x21) return ['extension', 0];
+        return [null, 0];
+      }],
+      // Descripteur d'image, table de couleurs locale puis taille de code LZW
+      image: [9, (bytes) => {
+        frames++;
+        const packed = bytes[8];
+        return ['subBlock', (packed & 0x80 ? 3 * (1 << ((packed & 0x07) + 1)) : 0) + 1];
+      }],
+      extension: [1, () => ['subBlock', 0]],
+      subBlock: [1, (bytes) => (bytes[0] === 0 ? ['block', 0] : ['subBlock', bytes[0]])]
+    },
+    webp: {
+      riff: [12, () => ['chunk', 0]],
+      chunk: [8, (bytes) => {
+        if (bytes.toString('ascii', 0, 4) === 'ANMF') frames++;
+        const size = bytes.readUInt32LE(4);
+        return ['chunk', size + (size % 2)];
+      }]
+    }
+  }[format];
+  if (!steps) return null;
+
+  let step = Object.keys(steps)[0];
+  let pending = Buffer.alloc(0);
+  let skip = 0;
+  let frames = 0;
+
+  return {
+    push(chunk) {
+      if (!step) return;
+      if (skip >= chunk.length) {
+        skip -= chunk.length;
+        return;
+      }
+      pending = Buffer.concat([pending, chunk.subarray(skip)]);
+      skip = 0;
+
+      while (step) {
+        const [size, handle] = steps[step];
+        if (pending.length < size) return;
+        const [next, toSkip] = handle(pending.subarray(0, size));
+        step = next;
+        pending = pending.subarray(size);
+        if (toSkip >= pending.length) {
+          skip = toSkip - pending.length;
+          pending = Buffer.alloc(0);
+          return;
+        }
+        pending = pending.subarray(toSkip);
+      }
+    },
+
+    get frameCount() {
+      return frames;
+    }
+  };
+}
+
+/**
+ * Lit les métadonnées d'une image à partir de son contenu
+ * Le format est déterminé par la signature du fichier, pas par l'URL.
+ * @param {Buffer} buffer - Contenu (ou premiers octets) de l'image
+ * @returns {Object|null} Format, dimensions, couleurs, animation et orientation, ou null
+ */
+function readImageMetadata(buffer) {
+  const format = detectFormatFromBytes(buffer);
+  if (!format) return null;
+
+  const readers = {
+    jpeg: readJpegMetadata,
+    png: readPngMetadata,
+    gif: readGifMetadata,
+    webp: readWebpMetadata,
+    bmp: readBmpMetadata
+  };
+
+  let details;
+  try {
+    details = readers[format](buffer);
+  } catch (error) {
+    // En-tête tronqué: on renvoie au moins le format
+    details = {};
+  }
+
+  return {
+    format: CONFIG.FORMATS[format].extension,
+    mimeType: CONFIG.FORMATS[format].mimeType,
+    width: details.width || null,
+    height: details.height || null,
+    bitDepth: details.bitDepth || null,
+    colorType: details.colorType || null,
+    hasAlpha: Boolean(details.hasAlpha),
+    progressive: Boolean(details.progressive),
+    animated: Boolean(details.animated),
+    frameCount: details.frameCount || 1,
+    orientation: details.orientation || null,
+    ...(details.compression ? { compression: details.compression } : {})
+  };
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  readImageMetadata,
+  detectFormatFromBytes,
+  createFrameCounter,
+  CONFIG
+};
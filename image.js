@@ -1,15 +1,26 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
-const https = require('https');
+const fsSync = require('fs');
 const path = require('path');
+const { openJobJournal } = require('./journal');
+const { loadMediaIndex } = require('./media-index');
+const { checkUrlExpiry, formatDelay, sortIndexesByExpiry, CONFIG: FBCDN_CONFIG } = require('./fbcdn');
+const { readImageMetadata, detectFormatFromBytes, createFrameCounter } = require('./image-metadata');
+const { request, head, CONFIG: HTTP_CONFIG } = require('./http-client');
+const { createTaskQueue, logProgress, getHost } = require('./task-queue');
+const { notify } = require('./notifier');
+const { createUrlRefresher, isAccessDenied, closeResolver } = require('./resolver');
 
 // ============= CONFIGURATION =============
 const today = new Date().toISOString().split('T')[0]; 
 const CONFIG = {
-  // Nombre d'URLs à traiter en parallèle
-  BATCH_SIZE: 5,
+  // Nombre d'URLs traitées simultanément
+  CONCURRENCY: 5,
   
-  // Timeout pour les téléchargements (en ms)
+  // Téléchargements simultanés maximum vers un même serveur
+  PER_HOST_CONCURRENCY: 3,
+  
+  // Timeout d'inactivité des téléchargements (en ms)
   DOWNLOAD_TIMEOUT: 30000,
   
   // Dossier de téléchargement
@@ -22,6 +33,16 @@ const CONFIG = {
   // Taille minimale d'image (en bytes) - évite les miniatures
   MIN_FILE_SIZE: 10000, // 10KB
   
+  // Octets gardés en mémoire en début de flux (format, dimensions, orientation)
+  SNIFF_BYTES: 256 * 1024, // 256KB
+  
+  // Regroupement des images quasi identiques (tailles et recadrages différents)
+  PERCEPTUAL_HASH: {
+    ENABLED: true,
+    // Distance de Hamming maximale (sur 64 bits) entre deux images d'un même groupe
+    MAX_DISTANCE: 10
+  },
+  
   // Options du navigateur
   BROWSER_OPTIONS: {
     headless: true,
@@ -65,156 +86,340 @@ function detectImageFormat(url, headers = {}) {
 }
 
 /**
- * Télécharge une image depuis une URL
- * @param {string} url - URL de l'image à télécharger
- * @param {string} filename - Nom du fichier de destination
- * @returns {Promise<Object>} Résultat du téléchargement
+ * Écrit le corps d'une réponse dans un fichier au fil de l'eau
+ * Seuls les premiers octets sont gardés en mémoire pour lire les métadonnées;
+ * les images d'un GIF ou WebP animé sont comptées au passage.
+ * @param {http.IncomingMessage} response - Réponse HTTP
+ * @param {string} tmpFile - Fichier temporaire de destination
+ * @param {string} label - Nom affiché dans la progression
+ * @returns {Promise<Object>} Taille reçue, premiers octets et nombre d'images (null hors GIF/WebP)
  */
-async function downloadImage(url, filename) {
+function streamImageToFile(response, tmpFile, label) {
   return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      reject(new Error('Timeout de téléchargement'));
-    }, CONFIG.DOWNLOAD_TIMEOUT);
-
-    https.get(url, (response) => {
-      if (response.statusCode !== 200) {
-        clearTimeout(timeout);
-        reject(new Error(`HTTP ${response.statusCode}`));
-        return;
-      }
+    const totalSize = parseInt(response.headers['content-length'], 10);
+    const file = fsSync.createWriteStream(tmpFile);
+    const headChunks = [];
+    let headSize = 0;
+    let downloadedSize = 0;
+    let failure = null;
+    let frameCounter = null;
+
+    const fail = (err) => {
+      if (failure) return;
+      failure = err;
+      response.destroy();
+      file.destroy();
+      reject(err);
+    };
 
-      // Vérifier si c'est bien une image
-      const contentType = response.headers['content-type'] || '';
-      if (!contentType.startsWith('image/')) {
-        clearTimeout(timeout);
-        reject(new Error('Le contenu n\'est pas une image'));
-        return;
+    response.on('data', (chunk) => {
+      downloadedSize += chunk.length;
+      if (headSize < CONFIG.SNIFF_BYTES) {
+        headChunks.push(chunk);
+        headSize += chunk.length;
       }
 
-      const totalSize = parseInt(response.headers['content-length'], 10);
-      let downloadedSize = 0;
-      const chunks = [];
-
-      response.on('data', (chunk) => {
-        chunks.push(chunk);
-        downloadedSize += chunk.length;
-        
-        if (totalSize) {
-          const progress = Math.round((downloadedSize / totalSize) * 100);
-          process.stdout.write(`\r🖼️ ${path.basename(filename)}: ${progress}%`);
-        }
-      });
-
-      response.on('end', async () => {
-        clearTimeout(timeout);
-        
-        // Vérifier la taille minimale
-        if (downloadedSize < CONFIG.MIN_FILE_SIZE) {
-          reject(new Error(`Image trop petite (${downloadedSize} bytes)`));
-          return;
-        }
-
-        try {
-          // Détecter le bon format et ajuster le nom de fichier
-          const detectedFormat = detectImageFormat(url, response.headers);
-          const finalFilename = filename.replace(/\.[^.]+$/, detectedFormat);
-          
-          // Sauvegarder l'image
-          const buffer = Buffer.concat(chunks);
-          await fs.writeFile(finalFilename, buffer);
-          
-          console.log(`\n✅ Image téléchargée: ${path.basename(finalFilename)}`);
-          resolve({
-            success: true,
-            filename: finalFilename,
-            size: downloadedSize,
-            format: detectedFormat,
-            dimensions: await getImageDimensions(buffer),
-            url: url
-          });
-          
-        } catch (error) {
-          reject(error);
-        }
-      });
+      // Compteur créé dès que la signature est lisible (12 octets pour WebP)
+      if (frameCounter) {
+        frameCounter.push(chunk);
+      } else if (frameCounter === null && downloadedSize >= 12) {
+        const received = Buffer.concat(headChunks);
+        frameCounter = createFrameCounter(detectFormatFromBytes(received)) || false;
+        if (frameCounter) frameCounter.push(received);
+      }
+      
+      if (totalSize) {
+        const progress = Math.round((downloadedSize / totalSize) * 100);
+        process.stdout.write(`\r🖼️ ${label}: ${progress}%`);
+      }
+    });
 
-      response.on('error', (err) => {
-        clearTimeout(timeout);
-        reject(err);
+    response.on('error', fail);
+    response.on('aborted', () => fail(new Error('Connexion interrompue')));
+    file.on('error', fail);
+    file.on('finish', () => {
+      if (failure) return;
+      resolve({
+        size: downloadedSize,
+        head: Buffer.concat(headChunks).subarray(0, CONFIG.SNIFF_BYTES),
+        frameCount: frameCounter ? frameCounter.frameCount : null
       });
-
-    }).on('error', (err) => {
-      clearTimeout(timeout);
-      reject(err);
     });
+
+    response.pipe(file);
   });
 }
 
 /**
- * Obtient les dimensions d'une image depuis son buffer (basique)
- * @param {Buffer} buffer - Buffer de l'image
- * @returns {Object} Dimensions ou null
+ * Télécharge une image depuis une URL
+ * L'image est écrite dans un fichier temporaire, puis renommée une fois
+ * validée: un échec ne laisse aucun fichier partiel.
+ * @param {string} url - URL de l'image à télécharger
+ * @param {string} filename - Nom du fichier de destination
+ * @returns {Promise<Object>} Résultat du téléchargement
  */
-async function getImageDimensions(buffer) {
+async function downloadImage(url, filename) {
+  const { response } = await request(url, { timeout: CONFIG.DOWNLOAD_TIMEOUT });
+
+  if (response.statusCode !== 200) {
+    response.resume();
+    throw new Error(`HTTP ${response.statusCode}`);
+  }
+
+  // Vérifier si c'est bien une image
+  const contentType = response.headers['content-type'] || '';
+  if (!contentType.startsWith('image/')) {
+    response.resume();
+    throw new Error('Le contenu n\'est pas une image');
+  }
+
+  // Vérifier la taille minimale annoncée avant de télécharger
+  const totalSize = parseInt(response.headers['content-length'], 10) || null;
+  if (totalSize !== null && totalSize < CONFIG.MIN_FILE_SIZE) {
+    response.resume();
+    throw new Error(`Image trop petite (${totalSize} bytes)`);
+  }
+
+  const tmpFile = `${filename}.download`;
+
   try {
-    // Détection basique pour JPEG
-    if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
-      // Parcourir les segments JPEG pour trouver SOF
-      let offset = 2;
-      while (offset < buffer.length - 8) {
-        if (buffer[offset] === 0xFF) {
-          const marker = buffer[offset + 1];
-          if (marker >= 0xC0 && marker <= 0xC3) {
-            const height = buffer.readUInt16BE(offset + 5);
-            const width = buffer.readUInt16BE(offset + 7);
-            return { width, height };
-          }
-          const length = buffer.readUInt16BE(offset + 2);
-          offset += length + 2;
-        } else {
-          offset++;
-        }
-      }
+    const { size: downloadedSize, head, frameCount } = await streamImageToFile(response, tmpFile, path.basename(filename));
+
+    if (downloadedSize < CONFIG.MIN_FILE_SIZE) {
+      throw new Error(`Image trop petite (${downloadedSize} bytes)`);
     }
+    if (totalSize !== null && downloadedSize !== totalSize) {
+      throw new Error(`Téléchargement incomplet (${downloadedSize}/${totalSize} bytes)`);
+    }
+
+    // Détecter le format par la signature du fichier (l'URL en dernier recours)
+    const metadata = readImageMetadata(head);
+    const detectedFormat = metadata ? metadata.format : detectImageFormat(url, response.headers);
     
-    // Détection basique pour PNG
-    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
-      const width = buffer.readUInt32BE(16);
-      const height = buffer.readUInt32BE(20);
-      return { width, height };
+    // Nombre d'images compté sur tout le flux: il dépasse souvent les premiers octets
+    if (metadata && frameCount) {
+      metadata.frameCount = frameCount;
+      metadata.animated = frameCount > 1;
     }
+    const finalFilename = filename.replace(/\.[^.]+$/, detectedFormat);
+    
+    await fs.rename(tmpFile, finalFilename);
+    
+    console.log(`\n✅ Image téléchargée: ${path.basename(finalFilename)}`);
+    return {
+      success: true,
+      filename: finalFilename,
+      size: downloadedSize,
+      format: detectedFormat,
+      dimensions: await getImageDimensions(head),
+      metadata: metadata,
+      url: url
+    };
     
-    return null;
   } catch (error) {
-    return null;
+    await fs.rm(tmpFile, { force: true });
+    throw error;
   }
 }
 
+/**
+ * Obtient les dimensions d'une image depuis son buffer
+ * @param {Buffer} buffer - Buffer de l'image
+ * @returns {Object} Dimensions ou null
+ */
+async function getImageDimensions(buffer) {
+  const metadata = readImageMetadata(buffer);
+  if (!metadata || !metadata.width || !metadata.height) return null;
+  return { width: metadata.width, height: metadata.height };
+}
+
 /**
  * Vérifie si une URL d'image est encore valide
  * @param {string} url - URL à vérifier
  * @returns {Promise<Object>} Informations sur la validité
  */
 async function checkImageUrlValidity(url) {
-  return new Promise((resolve) => {
-    https.get(url, { method: 'HEAD' }, (response) => {
-      const contentType = response.headers['content-type'] || '';
-      const contentLength = parseInt(response.headers['content-length'], 10) || 0;
-      
-      resolve({
-        isValid: response.statusCode === 200,
-        isImage: contentType.startsWith('image/'),
-        contentType: contentType,
-        size: contentLength,
-        statusCode: response.statusCode
-      });
-    }).on('error', () => {
-      resolve({
-        isValid: false,
-        isImage: false,
-        error: 'Erreur de connexion'
-      });
-    });
+  try {
+    const { statusCode, headers } = await head(url);
+    const contentType = headers['content-type'] || '';
+    const contentLength = parseInt(headers['content-length'], 10) || 0;
+    
+    return {
+      isValid: statusCode === 200,
+      isImage: contentType.startsWith('image/'),
+      contentType: contentType,
+      size: contentLength,
+      statusCode: statusCode
+    };
+  } catch (error) {
+    return {
+      isValid: false,
+      isImage: false,
+      error: 'Erreur de connexion'
+    };
+  }
+}
+
+/**
+ * Décode une image dans le navigateur et la réduit en niveaux de gris
+ * image-metadata.js ne lit que les en-têtes (format, dimensions, frames): les
+ * pixels compressés (JPEG, PNG, WebP, GIF) demandent un vrai décodeur, et
+ * Chromium, déjà installé avec puppeteer, les décode tous sans autre dépendance.
+ * @param {puppeteer.Page} page - Page utilisée comme décodeur
+ * @param {string} filename - Chemin de l'image
+ * @param {number} width - Largeur de la vignette
+ * @param {number} height - Hauteur de la vignette
+ * @returns {Promise<number[]>} Luminance de chaque pixel de la vignette
+ */
+async function decodeGrayscaleThumbnail(page, filename, width, height) {
+  const buffer = await fs.readFile(filename);
+  const metadata = readImageMetadata(buffer);
+  if (!metadata) throw new Error('Format d\'image non reconnu');
+  const dataUrl = `data:${metadata.mimeType};base64,${buffer.toString('base64')}`;
+
+  return page.evaluate(async (src, w, h) => {
+    const img = new Image();
+    img.src = src;
+    await img.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(img, 0, 0, w, h);
+
+    const { data } = ctx.getImageData(0, 0, w, h);
+    const gray = [];
+    for (let i = 0; i < data.length; i += 4) {
+      gray.push(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+    }
+    return gray;
+  }, dataUrl, width, height);
+}
+
+/**
+ * Calcule le hash perceptuel (dHash 64 bits) d'une vignette 9x8 en niveaux de gris
+ * Chaque bit indique si un pixel est plus clair que son voisin de droite, ce
+ * qui résiste aux redimensionnements et à la recompression.
+ * @param {number[]} gray - Luminance des 72 pixels (ligne par ligne)
+ * @returns {string} Hash hexadécimal de 16 caractères
+ */
+function computeDifferenceHash(gray) {
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const left = gray[y * 9 + x];
+      const right = gray[y * 9 + x + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Distance de Hamming entre deux hash perceptuels
+ * @param {string} a - Hash hexadécimal
+ * @param {string} b - Hash hexadécimal
+ * @returns {number} Nombre de bits différents
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Calcule les hash perceptuels des images téléchargées et les regroupe en créatives
+ * Les hash sont conservés dans la médiathèque pour ne pas être recalculés.
+ * @param {Object[]} results - Résultats de téléchargement (modifiés: perceptualHash, clusterId)
+ * @returns {Promise<Object[]>} Groupes de créatives quasi identiques
+ */
+async function clusterSimilarImages(results) {
+  const images = results.filter(r => r && r.success && r.filename && r.hash);
+  if (images.length === 0) return [];
+
+  const mediaIndex = await loadMediaIndex();
+  const hashes = new Map();
+  let browser;
+
+  try {
+    for (const result of images) {
+      if (hashes.has(result.hash)) continue;
+
+      const entry = mediaIndex.getEntry(result.hash);
+      if (entry && entry.perceptualHash) {
+        hashes.set(result.hash, entry.perceptualHash);
+        continue;
+      }
+
+      if (!browser) {
+        console.log('\n🧬 Calcul des hash perceptuels...');
+        browser = await puppeteer.launch(CONFIG.BROWSER_OPTIONS);
+      }
+
+      const page = await browser.newPage();
+      try {
+        const gray = await decodeGrayscaleThumbnail(page, result.filename, 9, 8);
+        const perceptualHash = computeDifferenceHash(gray);
+        hashes.set(result.hash, perceptualHash);
+        await mediaIndex.annotate(result.hash, { perceptualHash });
+      } catch (error) {
+        console.error(`⚠️ Hash perceptuel impossible pour ${path.basename(result.filename)}:`, error.message);
+      } finally {
+        await page.close();
+      }
+    }
+  } catch (error) {
+    console.error('⚠️ Regroupement des créatives impossible:', error.message);
+    return [];
+  } finally {
+    if (browser) await browser.close();
+  }
+
+  // Union-find sur les hash perceptuels distincts
+  const distinct = [...new Set(hashes.values())];
+  const parent = distinct.map((hash, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < distinct.length; i++) {
+    for (let j = i + 1; j < distinct.length; j++) {
+      if (hammingDistance(distinct[i], distinct[j]) <= CONFIG.PERCEPTUAL_HASH.MAX_DISTANCE) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  images.forEach(result => {
+    const perceptualHash = hashes.get(result.hash);
+    if (!perceptualHash) return;
+
+    const root = find(distinct.indexOf(perceptualHash));
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(result);
+    result.perceptualHash = perceptualHash;
+  });
+
+  return [...clusters.values()].map((members, i) => {
+    const clusterId = i + 1;
+    members.forEach(result => { result.clusterId = clusterId; });
+
+    // Représentant: la plus grande version de la créative
+    const area = (r) => (r.dimensions ? r.dimensions.width * r.dimensions.height : 0);
+    const representative = members.reduce((best, r) => (area(r) > area(best) ? r : best), members[0]);
+
+    return {
+      clusterId,
+      size: members.length,
+      distinctFiles: new Set(members.map(r => r.hash)).size,
+      representative: representative.filename,
+      indexes: members.map(r => r.index),
+      urls: members.map(r => r.url)
+    };
   });
 }
 
@@ -226,13 +431,66 @@ async function checkImageUrlValidity(url) {
  */
 async function processFacebookImageUrl(url, index) {
   const startTime = Date.now();
+  let unlock = () => {};
   
   try {
     console.log(`\n🔄 Traitement ${index + 1}: ${url.substring(0, 80)}...`);
     
+    // Vérifier si l'image est déjà dans la médiathèque (ce run ou un run précédent)
+    const mediaIndex = await loadMediaIndex();
+    unlock = await mediaIndex.lockAsset(url);
+    const known = await mediaIndex.findByAsset(url);
+    
+    if (known) {
+      console.log(`♻️ Déjà téléchargée: ${path.basename(known.path)}`);
+      return {
+        url: url,
+        index: index + 1,
+        success: true,
+        duplicate: true,
+        duplicateOf: known.firstUrl,
+        hash: known.hash,
+        filename: known.path,
+        fileSize: known.size,
+        format: known.format,
+        dimensions: known.dimensions,
+        metadata: known.metadata || null,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      };
+    }
+    
+    // Vérifier l'expiration de la signature (paramètre oe) avant toute requête
+    // Une URL expirée est d'abord renouvelée depuis l'annonce d'origine
+    const expiry = checkUrlExpiry(url);
+    const source = createUrlRefresher(url);
+    if (expiry.expired) {
+      console.log(`⌛ URL expirée depuis ${formatDelay(expiry.remainingMs)} (${expiry.expiresAt})`);
+      await source.refresh();
+    }
+    if (expiry.expired && !source.refreshed && FBCDN_CONFIG.SKIP_EXPIRED) {
+      console.log('⌛ URL ignorée');
+      return {
+        url: url,
+        index: index + 1,
+        success: false,
+        expired: true,
+        expiresAt: expiry.expiresAt,
+        error: `URL expirée le ${expiry.expiresAt}`,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      };
+    }
+    if (expiry.expiringSoon) {
+      console.log(`⏳ URL expirant dans ${formatDelay(expiry.remainingMs)}`);
+    }
+    
     // Vérifier la validité de l'URL
     console.log('🔍 Vérification de la validité...');
-    const urlCheck = await checkImageUrlValidity(url);
+    let urlCheck = await checkImageUrlValidity(source.url);
+    if (!urlCheck.isValid && await source.refresh()) {
+      urlCheck = await checkImageUrlValidity(source.url);
+    }
     
     if (!urlCheck.isValid) {
       return {
@@ -275,16 +533,41 @@ async function processFacebookImageUrl(url, index) {
     
     // Télécharger l'image
     console.log('🖼️ Début du téléchargement...');
-    const downloadResult = await downloadImage(url, filename);
+    const downloadResult = await downloadImage(source.url, filename).catch(async (error) => {
+      // URL refusée pendant le téléchargement: nouvelle tentative avec une URL fraîche
+      if (!isAccessDenied(error) || !(await source.refresh())) throw error;
+      return downloadImage(source.url, filename);
+    });
+    
+    // Ranger l'image dans la médiathèque selon le hash de son contenu
+    const stored = await mediaIndex.store(downloadResult.filename, {
+      url: url,
+      kind: 'images',
+      size: downloadResult.size,
+      format: downloadResult.format,
+      dimensions: downloadResult.dimensions,
+      metadata: downloadResult.metadata
+    });
+    
+    if (stored.duplicate) {
+      console.log(`♻️ Contenu identique à: ${path.basename(stored.path)}`);
+    }
     
     return {
       url: url,
       index: index + 1,
       success: true,
-      filename: downloadResult.filename,
+      expiresAt: expiry.expiresAt,
+      resolvedUrl: source.refreshed ? source.url : null,
+      duplicate: stored.duplicate,
+      duplicateOf: stored.duplicate ? stored.entry.firstUrl : null,
+      hash: stored.entry.hash,
+      filename: stored.duplicate ? stored.path : downloadResult.filename,
+      libraryFile: stored.path,
       fileSize: downloadResult.size,
       format: downloadResult.format,
       dimensions: downloadResult.dimensions,
+      metadata: downloadResult.metadata,
       duration: Date.now() - startTime,
       timestamp: new Date().toISOString()
     };
@@ -300,71 +583,98 @@ async function processFacebookImageUrl(url, index) {
       duration: Date.now() - startTime,
       timestamp: new Date().toISOString()
     };
+    
+  } finally {
+    unlock();
   }
 }
 
 /**
- * Traite un lot d'URLs d'images en parallèle
- * @param {string[]} urlBatch - Lot d'URLs à traiter
- * @param {number} batchStartIndex - Index de début du lot
- * @returns {Promise<Object[]>} Résultats du lot
+ * Traite une URL de la file et enregistre son résultat dans le journal
+ * @param {number} index - Index de l'URL
+ * @param {string[]} urls - Toutes les URLs du job
+ * @param {Object} journal - Journal du job
+ * @returns {Promise<Object>} Résultat du traitement
  */
-async function processBatch(urlBatch, batchStartIndex) {
-  const promises = urlBatch.map((url, i) => 
-    processFacebookImageUrl(url, batchStartIndex + i)
-  );
-  return Promise.all(promises);
+async function processIndex(index, urls, journal) {
+  const result = await processFacebookImageUrl(urls[index], index);
+  await journal.record(index, result);
+  return result;
 }
 
 /**
  * Fonction principale de traitement des URLs d'images Facebook
  * @param {string[]} urls - Tableau des URLs d'images Facebook
+ * @param {Object} options - Options
+ * @param {boolean} options.fresh - Ignore le journal d'un job précédent
+ * @param {Function} options.onResult - Appelée avec chaque résultat dès qu'il est disponible (result, index)
  * @returns {Promise<Object>} Résultats complets
  */
-async function processFacebookImages(urls) {
+async function processFacebookImages(urls, options = {}) {
   console.log(`🚀 Démarrage du téléchargement de ${urls.length} images Facebook`);
-  console.log(`📊 Configuration: ${CONFIG.BATCH_SIZE} images en parallèle`);
+  console.log(`📊 Configuration: ${CONFIG.CONCURRENCY} images en parallèle (${CONFIG.PER_HOST_CONCURRENCY} par hôte, ${HTTP_CONFIG.RATE_LIMIT || '∞'} requêtes/s)`);
   console.log(`📁 Dossier de téléchargement: ${CONFIG.DOWNLOAD_FOLDER}`);
   console.log(`📏 Taille minimale: ${CONFIG.MIN_FILE_SIZE} bytes`);
   
-  const results = [];
   const startTime = Date.now();
   
+  // Journal du job: les URLs déjà traitées avec succès sont reprises telles quelles
+  const journal = await openJobJournal('images', urls, options);
+  const results = urls.map((url, index) => (journal.isDone(index) ? journal.getResult(index) : null));
+  // Les URLs qui expirent le plus tôt sont téléchargées en premier
+  const pending = sortIndexesByExpiry(
+    urls.map((url, index) => index).filter(index => !journal.isDone(index)),
+    urls
+  );
+  
+  // Les résultats repris du journal sont transmis d'emblée
+  if (options.onResult) {
+    for (const [index, result] of results.entries()) {
+      if (result) await options.onResult(result, index);
+    }
+  }
+  
   try {
     // Créer le dossier de téléchargement
     await fs.mkdir(CONFIG.DOWNLOAD_FOLDER, { recursive: true });
     console.log(`📁 Dossier créé: ${CONFIG.DOWNLOAD_FOLDER}`);
     
-    // Traitement par lots
-    for (let i = 0; i < urls.length; i += CONFIG.BATCH_SIZE) {
-      const batch = urls.slice(i, i + CONFIG.BATCH_SIZE);
-      const batchNumber = Math.floor(i / CONFIG.BATCH_SIZE) + 1;
-      const totalBatches = Math.ceil(urls.length / CONFIG.BATCH_SIZE);
-      
-      console.log(`\n📦 === LOT ${batchNumber}/${totalBatches} (${batch.length} images) ===`);
-      
-      const batchResults = await processBatch(batch, i);
-      results.push(...batchResults);
-      
-      // Pause entre les lots
-      if (i + CONFIG.BATCH_SIZE < urls.length) {
-        console.log('\n⏸️ Pause de 2 secondes entre les lots...');
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
-    }
+    // File de tâches: chaque URL terminée libère aussitôt sa place pour la suivante
+    // (le débit est limité par requête dans http-client, pour tous les téléchargements)
+    const queue = createTaskQueue({
+      concurrency: CONFIG.CONCURRENCY,
+      perHost: CONFIG.PER_HOST_CONCURRENCY
+    });
+    queue.on('progress', logProgress('images'));
+    
+    await Promise.all(pending.map(index => queue.push(async () => {
+      results[index] = await processIndex(index, urls, journal);
+      if (options.onResult) await options.onResult(results[index], index);
+    }, { host: getHost(urls[index]) })));
     
   } catch (error) {
     console.error('💥 Erreur critique:', error);
     throw error;
+    
+  } finally {
+    await closeResolver();
   }
   
+  // Job complet: le journal ne sert plus (seul un job interrompu reprend)
+  const finished = await journal.finish();
+  
+  // Regrouper les créatives quasi identiques
+  const clusters = CONFIG.PERCEPTUAL_HASH.ENABLED ? await clusterSimilarImages(results) : [];
+  
   const endTime = Date.now();
   const duration = Math.round((endTime - startTime) / 1000);
   
   // Statistiques
   const successful = results.filter(r => r.success).length;
   const failed = results.filter(r => !r.success).length;
-  const totalSize = results.reduce((sum, r) => sum + (r.fileSize || 0), 0);
+  const duplicates = results.filter(r => r.duplicate).length;
+  const expired = results.filter(r => r.expired).length;
+  const totalSize = results.filter(r => !r.duplicate).reduce((sum, r) => sum + (r.fileSize || 0), 0);
   
   // Statistiques par format
   const formatStats = {};
@@ -376,24 +686,41 @@ async function processFacebookImages(urls) {
   console.log('📈 RÉSULTATS FINAUX:');
   console.log(`✅ Images téléchargées: ${successful}/${urls.length}`);
   console.log(`❌ Échecs: ${failed}/${urls.length}`);
+  console.log(`♻️ Doublons (non retéléchargés): ${duplicates}`);
+  console.log(`⌛ URLs expirées: ${expired}`);
+  if (clusters.length > 0) {
+    console.log(`🧬 Créatives distinctes: ${clusters.length}`);
+  }
   console.log(`💾 Taille totale: ${(totalSize / 1024 / 1024).toFixed(2)} MB`);
   console.log(`⏱️ Durée totale: ${duration}s`);
   console.log(`📊 Formats: ${Object.entries(formatStats).map(([format, count]) => `${format}: ${count}`).join(', ')}`);
   console.log('='.repeat(50));
   
-  return {
+  const output = {
     summary: {
       totalUrls: urls.length,
       successful,
       failed,
+      duplicates,
+      expired,
+      distinctCreatives: clusters.length,
       totalSizeMB: Math.round(totalSize / 1024 / 1024 * 100) / 100,
       duration: `${duration}s`,
       downloadFolder: CONFIG.DOWNLOAD_FOLDER,
+      job: {
+        id: journal.id,
+        journal: finished ? null : journal.file,
+        resumed: journal.completed
+      },
       formatStats: formatStats,
       timestamp: new Date().toISOString()
     },
+    clusters: clusters,
     results: results
   };
+  
+  output.summary.notifications = await notify('images', output);
+  return output;
 }
 
 /**
@@ -544,7 +871,7 @@ async function main() {
     results.results.forEach(result => {
       console.log(`\n${result.success ? '✅' : '❌'} Image ${result.index}:`);
       if (result.success) {
-        console.log(`   📁 Fichier: ${path.basename(result.filename)}`);
+        console.log(`   📁 Fichier: ${path.basename(result.filename)}${result.duplicate ? ' (doublon)' : ''}`);
         console.log(`   💾 Taille: ${(result.fileSize / 1024).toFixed(1)} KB`);
         console.log(`   🎨 Format: ${result.format}`);
         if (result.dimensions) {
@@ -0,0 +1,139 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Dossier des journaux de jobs (dans le dossier de travail, pas dans les sources)
+  JOB_FOLDER: path.join(process.cwd(), '.jobs')
+};
+
+/**
+ * Calcule l'identifiant d'un job à partir de son type et de ses URLs
+ * Relancer le même job (mêmes URLs, même ordre) retrouve le même journal tant
+ * qu'il n'a pas été terminé: seul un job interrompu ou en partie en échec reprend.
+ * @param {string} kind - Type de job ('scrape', 'images', 'videos')
+ * @param {string[]} urls - URLs du job
+ * @returns {string} Identifiant du job
+ */
+function getJobId(kind, urls) {
+  const hash = crypto.createHash('sha1').update(urls.join('\n')).digest('hex').slice(0, 12);
+  return `${kind}_${hash}`;
+}
+
+/**
+ * Lit les entrées d'un journal existant
+ * La dernière entrée d'un élément l'emporte; une ligne tronquée par un crash est ignorée.
+ * @param {string} filepath - Chemin du journal
+ * @returns {Promise<Map<number, Object>>} Dernière entrée par index
+ */
+async function readJournal(filepath) {
+  const entries = new Map();
+  let content;
+
+  try {
+    content = await fs.readFile(filepath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return entries;
+    throw error;
+  }
+
+  content.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      entries.set(entry.index, entry);
+    } catch (error) {
+      // Ligne incomplète (écriture interrompue)
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Ouvre (ou crée) le journal d'un job
+ * @param {string} kind - Type de job ('scrape', 'images', 'videos')
+ * @param {string[]} urls - URLs du job
+ * @param {Object} options - Options
+ * @param {boolean} options.fresh - Ignore et remplace un journal existant
+ * @returns {Promise<Object>} Journal du job
+ */
+async function openJobJournal(kind, urls, options = {}) {
+  const id = getJobId(kind, urls);
+  const filepath = path.join(CONFIG.JOB_FOLDER, `${id}.ndjson`);
+
+  await fs.mkdir(CONFIG.JOB_FOLDER, { recursive: true });
+  if (options.fresh) {
+    await fs.rm(filepath, { force: true });
+  }
+
+  const entries = await readJournal(filepath);
+  const isDone = (index) => {
+    const entry = entries.get(index);
+    return Boolean(entry && entry.status === 'done' && entry.url === urls[index]);
+  };
+
+  const completed = urls.filter((url, index) => isDone(index)).length;
+  if (completed > 0) {
+    console.log(`📒 Reprise du job ${id}: ${completed}/${urls.length} éléments déjà terminés`);
+  }
+
+  return {
+    id,
+    file: filepath,
+    completed,
+
+    /**
+     * Indique si un élément est déjà terminé avec succès
+     * @param {number} index - Index de l'URL dans le job
+     * @returns {boolean}
+     */
+    isDone,
+
+    /**
+     * Renvoie le résultat enregistré d'un élément
+     * @param {number} index - Index de l'URL dans le job
+     * @returns {Object|null}
+     */
+    getResult(index) {
+      const entry = entries.get(index);
+      return entry ? entry.result : null;
+    },
+
+    /**
+     * Enregistre le résultat d'un élément dès qu'il est terminé
+     * @param {number} index - Index de l'URL dans le job
+     * @param {Object} result - Résultat du traitement
+     */
+    async record(index, result) {
+      const entry = {
+        index,
+        url: urls[index],
+        status: result.success ? 'done' : 'failed',
+        result,
+        timestamp: new Date().toISOString()
+      };
+      entries.set(index, entry);
+      await fs.appendFile(filepath, JSON.stringify(entry) + '\n', 'utf8');
+    },
+
+    /**
+     * Clôt le journal à la fin du job: supprimé si tous les éléments ont réussi,
+     * pour que la prochaine exécution reparte de zéro au lieu de rejouer ces résultats
+     * @returns {Promise<boolean>} true si le job est complet (journal supprimé)
+     */
+    async finish() {
+      if (!urls.every((url, index) => isDone(index))) return false;
+      await fs.rm(filepath, { force: true });
+      return true;
+    }
+  };
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  openJobJournal,
+  getJobId,
+  CONFIG
+};
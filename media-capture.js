@@ -0,0 +1,144 @@
+const { getMediaId } = require('./fbcdn');
+
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Enregistrer les images et vidéos téléchargées par la page (vidéos en blob:, lazy-loading)
+  ENABLED: true,
+
+  // Hôtes dont les réponses image/vidéo sont enregistrées
+  HOST_PATTERN: /(^|\.)fbcdn\.net$/,
+
+  // Hôtes exclus: static.xx.fbcdn.net sert l'interface de Facebook (sprites, icônes rsrc.php)
+  IGNORED_HOST_PATTERN: /^static\.[^.]+\.fbcdn\.net$/,
+
+  // Paramètres de plage retirés des URLs vidéo (segments chargés par morceaux)
+  RANGE_PARAMS: ['bytestart', 'byteend'],
+
+  // Miniatures ignorées (photos de profil des annonceurs)
+  IGNORED_PATTERN: /s60x60|p60x60/
+};
+
+/**
+ * Retire d'une URL de média les paramètres qui ne désignent qu'un morceau du fichier
+ * @param {URL} url - URL de la réponse
+ * @returns {string} URL du fichier complet
+ */
+function normalizeCapturedUrl(url) {
+  CONFIG.RANGE_PARAMS.forEach(param => url.searchParams.delete(param));
+  return url.href;
+}
+
+/**
+ * Détermine le type de média d'une réponse réseau
+ * @param {string} mimeType - Content-Type de la réponse
+ * @param {string} resourceType - Type de ressource Puppeteer
+ * @returns {string|null} 'video', 'image' ou null
+ */
+function getResponseMediaType(mimeType, resourceType) {
+  if (mimeType.startsWith('video/') || resourceType === 'media') return 'video';
+  if (mimeType.startsWith('image/') || resourceType === 'image') return 'image';
+  return null;
+}
+
+/**
+ * Commence à enregistrer les médias reçus par une page
+ * L'écouteur doit être retiré avec stop(): les pages sont réutilisées par le pool.
+ * @param {puppeteer.Page} page - Page à surveiller
+ * @returns {Object} { stop() } qui renvoie les médias capturés (dans l'ordre de chargement)
+ */
+function startMediaCapture(page) {
+  const captured = new Map();
+
+  const onResponse = (response) => {
+    try {
+      const url = new URL(response.url());
+      if (!CONFIG.HOST_PATTERN.test(url.hostname) || CONFIG.IGNORED_HOST_PATTERN.test(url.hostname)) return;
+      if (response.status() >= 400) return;
+
+      const mimeType = (response.headers()['content-type'] || '').split(';')[0].trim();
+      const type = getResponseMediaType(mimeType, response.request().resourceType());
+      if (!type || CONFIG.IGNORED_PATTERN.test(url.href)) return;
+
+      const normalized = normalizeCapturedUrl(url);
+      if (!captured.has(normalized)) {
+        captured.set(normalized, { url: normalized, type, mimeType: mimeType || null, libraryId: null });
+      }
+    } catch (error) {
+      // Réponse illisible (page fermée, URL data:...): ignorée
+    }
+  };
+
+  if (CONFIG.ENABLED) {
+    page.on('response', onResponse);
+  }
+
+  return {
+    stop() {
+      page.off('response', onResponse);
+      return [...captured.values()];
+    }
+  };
+}
+
+/**
+ * Fusionne les médias capturés sur le réseau avec les annonces lues dans le DOM
+ * Un média capturé est rattaché à une annonce quand son URL ou son identifiant
+ * fbcdn correspond à un média (ou à l'affiche) de la carte. Les vidéos blob:
+ * sont remplacées par les vidéos capturées non rattachées, dans l'ordre de
+ * chargement, lorsque leur nombre correspond; sinon elles sont retirées.
+ * @param {Object[]} ads - Annonces normalisées (modifiées sur place)
+ * @param {Object[]} captured - Médias capturés
+ * @returns {Object[]} Médias capturés, avec l'annonce rattachée quand elle est connue
+ */
+function mergeNetworkMedia(ads, captured) {
+  const adByKey = new Map();
+  ads.forEach(ad => {
+    ad.media.forEach(item => {
+      item.source = item.source || 'dom';
+      const variantUrls = (item.variants || []).map(v => v.url);
+      [item.url, item.poster, ...variantUrls].filter(src => src && !src.startsWith('blob:')).forEach(src => {
+        adByKey.set(src, ad);
+        const mediaId = getMediaId(src);
+        if (mediaId) adByKey.set(mediaId, ad);
+      });
+    });
+  });
+
+  // Rattachement direct: même URL ou même identifiant de média
+  captured.forEach(item => {
+    const ad = adByKey.get(item.url) || adByKey.get(getMediaId(item.url));
+    if (ad) item.libraryId = ad.libraryId;
+  });
+
+  // Vidéos blob: remplacées par les vidéos réseau restantes
+  const blobSlots = ads.flatMap(ad => ad.media
+    .filter(item => item.url.startsWith('blob:'))
+    .map(item => ({ ad, item })));
+  const unassignedVideos = captured.filter(item => item.type === 'video' && !item.libraryId);
+
+  if (blobSlots.length > 0 && blobSlots.length === unassignedVideos.length) {
+    blobSlots.forEach(({ ad, item }, i) => {
+      item.url = unassignedVideos[i].url;
+      item.source = 'network';
+      unassignedVideos[i].libraryId = ad.libraryId;
+    });
+  }
+
+  ads.forEach(ad => {
+    ad.media = ad.media.filter(item => !item.url.startsWith('blob:'));
+    ad.media.filter(item => item.variants).forEach(item => {
+      item.variants = item.variants.filter(v => !v.url.startsWith('blob:'));
+      if (!item.variants.some(v => v.url === item.url)) item.variants.unshift({ url: item.url, quality: null });
+    });
+  });
+
+  return captured;
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  startMediaCapture,
+  mergeNetworkMedia,
+  normalizeCapturedUrl,
+  CONFIG
+};
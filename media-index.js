@@ -0,0 +1,298 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Dossier de la médiathèque (fichiers nommés par leur hash de contenu), dans le dossier de travail
+  LIBRARY_FOLDER: path.join(process.cwd(), 'library'),
+
+  // Nom du fichier d'index dans la médiathèque
+  INDEX_FILENAME: 'index.json',
+
+  // Algorithme de hash du contenu
+  HASH_ALGORITHM: 'sha256'
+};
+
+let indexPromise = null;
+
+/**
+ * Calcule la clé d'un asset fbcdn à partir de son URL
+ * La clé combine le nom du fichier (identifiant du média) et le paramètre stp
+ * (taille/recadrage), les paramètres de signature changeant à chaque scraping.
+ * @param {string} url - URL fbcdn
+ * @returns {string} Clé de l'asset
+ */
+function getAssetKey(url) {
+  const urlObj = new URL(url);
+  const assetId = path.basename(urlObj.pathname).replace(/\.[^.]+$/, '');
+  const variant = urlObj.searchParams.get('stp');
+  return variant ? `${assetId}@${variant}` : assetId;
+}
+
+/**
+ * Calcule le hash du contenu d'un fichier
+ * @param {string} filepath - Chemin du fichier
+ * @returns {Promise<string>} Hash hexadécimal
+ */
+function hashFile(filepath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(CONFIG.HASH_ALGORITHM);
+    fsSync.createReadStream(filepath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Vérifie qu'un fichier existe
+ * @param {string} filepath - Chemin du fichier
+ * @returns {Promise<boolean>}
+ */
+async function fileExists(filepath) {
+  try {
+    await fs.access(filepath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Charge l'index de la médiathèque depuis le disque
+ * @returns {Promise<Object>} Médiathèque
+ */
+async function openMediaIndex() {
+  const indexFile = path.join(CONFIG.LIBRARY_FOLDER, CONFIG.INDEX_FILENAME);
+  let data = { version: 1, assets: {}, files: {}, sources: {} };
+
+  try {
+    data = JSON.parse(await fs.readFile(indexFile, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('⚠️ Index de la médiathèque illisible, un nouvel index sera créé:', error.message);
+    }
+  }
+  data.sources = data.sources || {};
+
+  const locks = new Map();
+  let saving = Promise.resolve();
+  let storing = Promise.resolve();
+
+  const absolute = (entry) => path.join(CONFIG.LIBRARY_FOLDER, entry.file);
+
+  /**
+   * Écrit l'index de façon atomique (les écritures sont sérialisées)
+   * Un échec n'est renvoyé qu'à l'appelant concerné: les écritures suivantes
+   * sont tentées normalement (disque plein libéré, droits rétablis...).
+   */
+  const save = () => {
+    const task = saving.then(async () => {
+      const tmpFile = `${indexFile}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(data, null, 2), 'utf8');
+      await fs.rename(tmpFile, indexFile);
+    });
+    saving = task.catch(() => {});
+    return task;
+  };
+
+  /**
+   * Renvoie l'entrée d'un asset dont le fichier existe encore, ou null
+   */
+  const findStoredEntry = async (url) => {
+    const hash = data.assets[getAssetKey(url)];
+    const entry = hash && data.files[hash];
+    return entry && await fileExists(absolute(entry)) ? entry : null;
+  };
+
+  /**
+   * Associe une URL à un fichier connu et met à jour ses dates de vue
+   */
+  const recordSighting = (entry, url) => {
+    const assetKey = getAssetKey(url);
+    data.assets[assetKey] = entry.hash;
+    if (!entry.assets.includes(assetKey)) entry.assets.push(assetKey);
+    entry.lastSeen = new Date().toISOString();
+    entry.occurrences = (entry.occurrences || 1) + 1;
+  };
+
+  /**
+   * Range un fichier dans la médiathèque (voir store)
+   */
+  const storeFile = async (filepath, meta) => {
+    const hash = await hashFile(filepath);
+    const existing = data.files[hash];
+
+    if (existing && await fileExists(absolute(existing))) {
+      await fs.rm(filepath, { force: true });
+      recordSighting(existing, meta.url);
+      await save();
+      return { entry: existing, path: absolute(existing), duplicate: true };
+    }
+
+    const relative = path.join(meta.kind, `${hash}${path.extname(filepath)}`);
+    const target = path.join(CONFIG.LIBRARY_FOLDER, relative);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(filepath, target).catch(async () => {
+      // Autre disque: copie puis suppression
+      await fs.copyFile(filepath, target);
+      await fs.rm(filepath, { force: true });
+    });
+    await fs.link(target, filepath).catch(() => fs.copyFile(target, filepath));
+
+    const { url, kind, ...details } = meta;
+    const now = new Date().toISOString();
+    const entry = {
+      hash,
+      file: relative,
+      kind,
+      ...details,
+      firstUrl: url,
+      firstSeen: now,
+      lastSeen: now,
+      occurrences: 1,
+      source: data.sources[getAssetKey(url)] || null,
+      assets: [getAssetKey(url)]
+    };
+    data.files[hash] = entry;
+    data.assets[getAssetKey(url)] = hash;
+    await save();
+
+    return { entry, path: target, duplicate: false };
+  };
+
+  return {
+    file: indexFile,
+
+    /**
+     * Verrouille un asset: les traitements d'un même asset sont exécutés l'un
+     * après l'autre, pour qu'une répétition dans le même lot trouve le fichier.
+     * @param {string} url - URL de l'asset
+     * @returns {Promise<Function>} Fonction de déverrouillage
+     */
+    lockAsset(url) {
+      const key = getAssetKey(url);
+      const previous = locks.get(key) || Promise.resolve();
+      let unlock;
+      const current = new Promise(resolve => { unlock = resolve; });
+      const chain = previous.then(() => current);
+      locks.set(key, chain);
+
+      return previous.then(() => () => {
+        unlock();
+        if (locks.get(key) === chain) locks.delete(key);
+      });
+    },
+
+    /**
+     * Cherche un fichier déjà téléchargé pour cet asset
+     * @param {string} url - URL de l'asset
+     * @returns {Promise<Object|null>} Entrée de l'index (avec chemin absolu) ou null
+     */
+    async findByAsset(url) {
+      const entry = await findStoredEntry(url);
+      if (!entry) return null;
+
+      recordSighting(entry, url);
+      await save();
+      return { ...entry, path: absolute(entry) };
+    },
+
+    /**
+     * Indique si un asset est déjà dans la médiathèque, sans compter de vue
+     * ni réécrire l'index (contrairement à findByAsset)
+     * @param {string} url - URL de l'asset
+     * @returns {Promise<boolean>}
+     */
+    async hasAsset(url) {
+      return Boolean(await findStoredEntry(url));
+    },
+
+    /**
+     * Mémorise la page Ad Library (et l'annonce) d'où proviennent des médias
+     * @param {Object[]} sightings - Liste de { url, pageUrl, libraryId, variants }
+     */
+    async rememberSources(sightings) {
+      if (sightings.length === 0) return;
+      sightings.forEach(({ url, pageUrl, libraryId, variants }) => {
+        try {
+          data.sources[getAssetKey(url)] = {
+            pageUrl,
+            libraryId: libraryId || null,
+            variants: variants || null,
+            seenAt: new Date().toISOString()
+          };
+        } catch (error) {
+          // URL non analysable (ex: blob:), ignorée
+        }
+      });
+      await save();
+    },
+
+    /**
+     * Renvoie la source connue d'un média
+     * @param {string} url - URL du média
+     * @returns {Object|null} { pageUrl, libraryId, variants, seenAt }
+     */
+    getSource(url) {
+      return data.sources[getAssetKey(url)] || null;
+    },
+
+    /**
+     * Renvoie l'entrée d'un contenu connu
+     * @param {string} hash - Hash du contenu
+     * @returns {Object|null} Entrée de l'index
+     */
+    getEntry(hash) {
+      return data.files[hash] || null;
+    },
+
+    /**
+     * Ajoute des informations calculées à l'entrée d'un contenu (ex: hash perceptuel)
+     * @param {string} hash - Hash du contenu
+     * @param {Object} fields - Champs à enregistrer
+     */
+    async annotate(hash, fields) {
+      if (!data.files[hash]) return;
+      Object.assign(data.files[hash], fields);
+      await save();
+    },
+
+    /**
+     * Range un fichier téléchargé dans la médiathèque selon son hash
+     * Si le contenu est déjà connu, le fichier téléchargé est supprimé.
+     * Sinon il est déplacé dans la médiathèque et remplacé par un lien.
+     * Les rangements sont sérialisés: deux contenus identiques téléchargés en
+     * parallèle sous des URLs différentes ne créent qu'un seul fichier.
+     * @param {string} filepath - Fichier téléchargé
+     * @param {Object} meta - Métadonnées (url, kind, format, size...)
+     * @returns {Promise<Object>} Entrée de l'index, chemin et statut de doublon
+     */
+    store(filepath, meta) {
+      const task = storing.then(() => storeFile(filepath, meta));
+      storing = task.catch(() => {});
+      return task;
+    }
+  };
+}
+
+/**
+ * Renvoie la médiathèque partagée du processus (chargée une seule fois)
+ * @returns {Promise<Object>} Médiathèque
+ */
+async function loadMediaIndex() {
+  if (!indexPromise) {
+    indexPromise = fs.mkdir(CONFIG.LIBRARY_FOLDER, { recursive: true }).then(openMediaIndex);
+  }
+  return indexPromise;
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  loadMediaIndex,
+  getAssetKey,
+  hashFile,
+  CONFIG
+};
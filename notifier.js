@@ -0,0 +1,355 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+const { request } = require('./http-client');
+
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Fichier déclarant les destinations de notification (facultatif)
+  SINKS_FILE: path.join(__dirname, 'notify.json'),
+
+  // Destinations ajoutées à celles du fichier (ex: options de la ligne de commande)
+  SINKS: [],
+
+  // Nombre maximum de vignettes et d'annonces listées par message
+  MAX_THUMBNAILS: 5,
+  MAX_LISTED_ADS: 10,
+
+  // Durée maximale d'une commande locale (en ms)
+  COMMAND_TIMEOUT: 30000,
+
+  // Messages par défaut, par événement ({{champ}} remplacé par sa valeur)
+  TEMPLATES: {
+    scrape: '🆕 {{count}} nouvelles annonces ({{images}} images, {{videos}} vidéos) - {{advertisers}}\n{{ads}}',
+    images: '🖼️ {{count}} nouvelles images téléchargées dans {{folder}} ({{failed}} échecs)',
+    videos: '🎬 {{count}} nouvelles vidéos téléchargées dans {{folder}} ({{failed}} échecs)'
+  }
+};
+
+// Types de destinations et événements déclencheurs
+const SINK_TYPES = ['webhook', 'slack', 'command'];
+const EVENTS = ['scrape', 'images', 'videos'];
+
+/**
+ * Vérifie une destination déclarée et complète les champs absents
+ * @param {Object} sink - Destination déclarée
+ * @param {number} position - Position dans la liste (pour les messages d'erreur)
+ * @returns {Object} Destination normalisée ({ name, type, url, command, headers, template, events, advertisers })
+ */
+function normalizeSink(sink, position) {
+  const label = sink && sink.name ? sink.name : `#${position + 1}`;
+  if (!sink || !SINK_TYPES.includes(sink.type)) {
+    throw new Error(`Notification ${label}: type invalide (attendu: ${SINK_TYPES.join(', ')})`);
+  }
+  if (sink.type === 'command' ? !sink.command : !/^https?:\/\//i.test(sink.url || '')) {
+    throw new Error(`Notification ${label}: ${sink.type === 'command' ? 'commande' : 'URL http(s)'} manquante`);
+  }
+
+  const events = sink.events || EVENTS;
+  if (!Array.isArray(events) || events.some(event => !EVENTS.includes(event))) {
+    throw new Error(`Notification ${label}: "events" doit être une liste parmi ${EVENTS.join(', ')}`);
+  }
+  const advertisers = sink.advertisers || [];
+  if (!Array.isArray(advertisers)) {
+    throw new Error(`Notification ${label}: "advertisers" doit être une liste`);
+  }
+  if (sink.template !== undefined && !['string', 'object'].includes(typeof sink.template)) {
+    throw new Error(`Notification ${label}: "template" doit être un texte ou un texte par événement`);
+  }
+
+  return {
+    name: sink.name || `${sink.type}${label}`,
+    type: sink.type,
+    url: sink.url || null,
+    command: sink.command || null,
+    headers: sink.headers || {},
+    template: sink.template || null,
+    events,
+    advertisers: advertisers.map(advertiser => String(advertiser).toLowerCase())
+  };
+}
+
+/**
+ * Charge les destinations de notification: celles du fichier puis CONFIG.SINKS
+ * Format du fichier: { "sinks": [{ "type": "webhook" | "slack" | "command",
+ * "url" ou "command", "template", "events", "advertisers", "headers" }] }
+ * @param {string} file - Fichier de destinations (défaut: CONFIG.SINKS_FILE)
+ * @returns {Promise<Object[]>} Destinations normalisées
+ */
+async function loadNotificationSinks(file = CONFIG.SINKS_FILE) {
+  let declared = [];
+
+  try {
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    declared = Array.isArray(data) ? data : (data.sinks || []);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Fichier de notifications illisible (${file}): ${error.message}`);
+    }
+  }
+
+  return [...declared, ...CONFIG.SINKS].map(normalizeSink);
+}
+
+/**
+ * Remplace les champs {{nom}} (ou {{objet.champ}}) d'un message
+ * Les listes sont écrites une valeur par ligne, les champs inconnus sont vidés.
+ * @param {string} template - Message à compléter
+ * @param {Object} context - Valeurs disponibles
+ * @returns {string} Message
+ */
+function renderTemplate(template, context) {
+  return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((current, part) => (current === null || current === undefined ? current : current[part]), context);
+    if (value === null || value === undefined) return '';
+    return Array.isArray(value) ? value.join('\n') : String(value);
+  });
+}
+
+/**
+ * Indique si une annonce appartient à l'un des annonceurs suivis
+ * @param {Object} ad - Annonce
+ * @param {string[]} advertisers - Noms, identifiants ou URLs de pages (en minuscules)
+ * @returns {boolean}
+ */
+function matchesAdvertiser(ad, advertisers) {
+  if (advertisers.length === 0) return true;
+  const values = [ad.advertiser && ad.advertiser.name, ad.advertiser && ad.advertiser.pageId, ad.advertiser && ad.advertiser.pageUrl]
+    .filter(Boolean)
+    .map(value => String(value).toLowerCase());
+  return advertisers.some(advertiser => values.some(value => value.includes(advertiser)));
+}
+
+/**
+ * Renvoie la vignette d'une annonce (première image, ou affiche d'une vidéo)
+ * @param {Object} ad - Annonce
+ * @returns {string|null} URL de la vignette
+ */
+function getThumbnail(ad) {
+  const media = (ad.media || []).filter(item => /^https?:/.test(item.poster || item.url));
+  const image = media.find(item => item.type !== 'video');
+  if (image) return image.url;
+  const video = media.find(item => item.poster);
+  return video ? video.poster : null;
+}
+
+/**
+ * Prépare le contenu d'une notification pour une destination
+ * - scrape: nouvelles annonces ({ results, newAdIds }), filtrées par annonceur
+ * - images / vidéos: fichiers téléchargés hors doublons (résultat du téléchargeur)
+ * @param {string} event - Événement ('scrape', 'images' ou 'videos')
+ * @param {Object} data - Données de l'événement
+ * @param {Object} sink - Destination normalisée
+ * @returns {Object} { event, count, message, context } (count à 0: rien à notifier)
+ */
+function buildNotification(event, data, sink) {
+  let context;
+
+  if (event === 'scrape') {
+    const newIds = new Set(data.newAdIds || []);
+    const ads = new Map();
+    data.results.filter(r => r && r.success).forEach(result => {
+      result.ads
+        .filter(ad => newIds.has(ad.libraryId) && !ads.has(ad.libraryId) && matchesAdvertiser(ad, sink.advertisers))
+        .forEach(ad => ads.set(ad.libraryId, { ad, query: result.url }));
+    });
+
+    const list = [...ads.values()].map(({ ad, query }) => ({
+      libraryId: ad.libraryId,
+      advertiser: (ad.advertiser && ad.advertiser.name) || null,
+      pageUrl: (ad.advertiser && ad.advertiser.pageUrl) || null,
+      text: ad.text ? ad.text.replace(/\s+/g, ' ').slice(0, 200) : null,
+      landingUrl: ad.landingUrl || null,
+      thumbnail: getThumbnail(ad),
+      media: ad.media.map(item => ({ type: item.type, url: item.url })),
+      query
+    }));
+    const media = list.flatMap(ad => ad.media);
+    const lines = list.slice(0, CONFIG.MAX_LISTED_ADS).map(ad =>
+      `• ${ad.advertiser || 'Annonceur inconnu'} · ${ad.libraryId}${ad.text ? ` · ${ad.text.slice(0, 80)}` : ''}`);
+    if (list.length > CONFIG.MAX_LISTED_ADS) lines.push(`… et ${list.length - CONFIG.MAX_LISTED_ADS} autres`);
+
+    context = {
+      event,
+      count: list.length,
+      images: media.filter(item => item.type !== 'video').length,
+      videos: media.filter(item => item.type === 'video').length,
+      advertisers: [...new Set(list.map(ad => ad.advertiser).filter(Boolean))].join(', '),
+      ads: lines,
+      thumbnails: list.map(ad => ad.thumbnail).filter(Boolean).slice(0, CONFIG.MAX_THUMBNAILS),
+      queries: new Set(list.map(ad => ad.query)).size,
+      items: list
+    };
+  } else {
+    const downloaded = data.results.filter(r => r && r.success && !r.duplicate);
+    context = {
+      event,
+      count: downloaded.length,
+      failed: data.summary.failed,
+      duplicates: data.summary.duplicates,
+      sizeMB: data.summary.totalSizeMB,
+      folder: data.summary.downloadFolder,
+      files: downloaded.map(r => path.basename(r.filename)),
+      thumbnails: event === 'images' ? downloaded.map(r => r.url).slice(0, CONFIG.MAX_THUMBNAILS) : [],
+      items: downloaded.map(r => ({ url: r.url, filename: r.filename, fileSize: r.fileSize }))
+    };
+  }
+
+  context.timestamp = new Date().toISOString();
+  const template = (sink.template && typeof sink.template === 'object' ? sink.template[event] : sink.template)
+    || CONFIG.TEMPLATES[event];
+
+  return {
+    event,
+    count: context.count,
+    message: renderTemplate(template, context).trim(),
+    context
+  };
+}
+
+/**
+ * Envoie un corps JSON en POST et vérifie la réponse
+ * Aucune nouvelle tentative: un serveur qui répond 5xx ou tarde peut avoir déjà
+ * accepté le message, qui serait alors livré deux fois.
+ * @param {string} url - URL du webhook
+ * @param {Object} payload - Corps de la requête
+ * @param {Object} headers - Headers supplémentaires
+ */
+async function postJson(url, payload, headers = {}) {
+  const { response } = await request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload),
+    maxRetries: 0
+  });
+  response.resume();
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    throw new Error(`HTTP ${response.statusCode}`);
+  }
+}
+
+/**
+ * Construit un message Slack (incoming webhook): texte puis vignettes
+ * @param {Object} notification - Notification (voir buildNotification)
+ * @returns {Object} Corps { text, blocks }
+ */
+function buildSlackPayload(notification) {
+  // Slack limite le texte d'un bloc à 3000 caractères
+  const text = notification.message.slice(0, 3000);
+  return {
+    text,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text } },
+      ...notification.context.thumbnails.map(url => ({ type: 'image', image_url: url, alt_text: 'Créative' }))
+    ]
+  };
+}
+
+/**
+ * Exécute une commande locale: message dans l'environnement, notification JSON sur l'entrée standard
+ * Variables: NOTIFY_EVENT, NOTIFY_COUNT, NOTIFY_MESSAGE, NOTIFY_THUMBNAILS (une URL par ligne)
+ * @param {string} command - Commande (exécutée par le shell)
+ * @param {Object} notification - Notification (voir buildNotification)
+ * @returns {Promise<void>}
+ */
+function runNotifyCommand(command, notification) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'inherit', 'inherit'],
+      env: {
+        ...process.env,
+        NOTIFY_EVENT: notification.event,
+        NOTIFY_COUNT: String(notification.count),
+        NOTIFY_MESSAGE: notification.message,
+        NOTIFY_THUMBNAILS: notification.context.thumbnails.join('\n')
+      }
+    });
+
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Commande interrompue après ${CONFIG.COMMAND_TIMEOUT / 1000}s`));
+    }, CONFIG.COMMAND_TIMEOUT);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(`Commande terminée avec le code ${code}`));
+    });
+
+    // La commande peut ignorer son entrée standard
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify({ event: notification.event, message: notification.message, ...notification.context }));
+  });
+}
+
+/**
+ * Envoie une notification à une destination
+ * @param {Object} sink - Destination normalisée
+ * @param {Object} notification - Notification (voir buildNotification)
+ * @returns {Promise<void>}
+ */
+async function sendNotification(sink, notification) {
+  switch (sink.type) {
+    case 'webhook':
+      return postJson(sink.url, {
+        event: notification.event,
+        message: notification.message,
+        ...notification.context
+      }, sink.headers);
+
+    case 'slack':
+      return postJson(sink.url, buildSlackPayload(notification), sink.headers);
+
+    case 'command':
+      return runNotifyCommand(sink.command, notification);
+  }
+}
+
+/**
+ * Notifie les destinations abonnées à un événement
+ * Une destination en échec n'interrompt ni les autres ni le traitement appelant.
+ * @param {string} event - Événement ('scrape', 'images' ou 'videos')
+ * @param {Object} data - Données de l'événement (voir buildNotification)
+ * @returns {Promise<Object[]>} Envois ({ sink, type, count, success, error })
+ */
+async function notify(event, data) {
+  let sinks;
+  try {
+    sinks = (await loadNotificationSinks()).filter(sink => sink.events.includes(event));
+  } catch (error) {
+    console.error('⚠️ Notifications désactivées:', error.message);
+    return [];
+  }
+
+  const deliveries = [];
+  for (const sink of sinks) {
+    const notification = buildNotification(event, data, sink);
+    if (notification.count === 0) continue;
+
+    try {
+      await sendNotification(sink, notification);
+      console.log(`🔔 Notification envoyée (${sink.name}): ${notification.count} ${event === 'scrape' ? 'nouvelles annonces' : 'fichiers'}`);
+      deliveries.push({ sink: sink.name, type: sink.type, count: notification.count, success: true });
+    } catch (error) {
+      console.error(`⚠️ Notification ${sink.name} échouée:`, error.message);
+      deliveries.push({ sink: sink.name, type: sink.type, count: notification.count, success: false, error: error.message });
+    }
+  }
+
+  return deliveries;
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  notify,
+  loadNotificationSinks,
+  buildNotification,
+  renderTemplate,
+  sendNotification,
+  CONFIG
+};
@@ -0,0 +1,162 @@
+const { extractCreativeSrc, CONFIG: SCRAPER_CONFIG } = require('./app');
+const { createBrowserPool } = require('./browser-pool');
+const { loadMediaIndex } = require('./media-index');
+const { getMediaId, checkUrlExpiry } = require('./fbcdn');
+
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Renouveler automatiquement les URLs expirées depuis leur annonce d'origine
+  ENABLED: true,
+
+  // Page Ad Library d'une annonce précise (plus rapide que la recherche complète)
+  AD_PAGE_URL: 'https://www.facebook.com/ads/library/?id='
+};
+
+// Pool de navigateurs partagé et pages déjà analysées pendant ce processus
+let pool = null;
+const pageCache = new Map();
+
+/**
+ * Renvoie le pool de navigateurs du résolveur (créé au premier besoin)
+ * @returns {Object} Pool de navigateurs
+ */
+function getPool() {
+  if (!pool) {
+    console.log('🌐 Lancement du navigateur pour renouveler les URLs expirées...');
+    pool = createBrowserPool(SCRAPER_CONFIG.BROWSER_OPTIONS);
+  }
+  return pool;
+}
+
+/**
+ * Extrait (une seule fois par page) les URLs de médias fraîches d'une page Ad Library
+ * @param {string} pageUrl - URL de la page Ad Library
+ * @returns {Promise<string[]>} URLs des médias de la page (variantes vidéo comprises)
+ */
+function loadPageMedia(pageUrl) {
+  if (!pageCache.has(pageUrl)) {
+    const task = extractCreativeSrc(pageUrl, getPool())
+      .then(result => (result.success
+        ? result.creativeSrcs.concat(result.ads.flatMap(ad => ad.media.flatMap(item => (item.variants || []).map(v => v.url))))
+        : []));
+    pageCache.set(pageUrl, task);
+  }
+  return pageCache.get(pageUrl);
+}
+
+/**
+ * Choisit, parmi les médias d'une page, la nouvelle URL d'un média expiré
+ * Le média est reconnu par son identifiant numérique; à défaut de variante
+ * identique (paramètre stp), la première URL valide est retenue.
+ * @param {string} url - URL expirée
+ * @param {string[]} candidates - URLs fraîches de la page
+ * @returns {string|null} Nouvelle URL signée
+ */
+function matchFreshUrl(url, candidates) {
+  const mediaId = getMediaId(url);
+  if (!mediaId) return null;
+
+  const variant = new URL(url).searchParams.get('stp');
+  const matches = candidates.filter(src => getMediaId(src) === mediaId && !checkUrlExpiry(src).expired);
+  const sameVariant = matches.find(src => new URL(src).searchParams.get('stp') === variant);
+
+  return sameVariant || matches[0] || null;
+}
+
+/**
+ * Renouvelle une URL fbcdn expirée en rouvrant l'annonce ou la page d'où elle provient
+ * @param {string} url - URL expirée (ou refusée par le CDN)
+ * @returns {Promise<string|null>} Nouvelle URL signée, ou null si introuvable
+ */
+async function refreshExpiredUrl(url) {
+  if (!CONFIG.ENABLED) return null;
+
+  const mediaIndex = await loadMediaIndex();
+  const source = mediaIndex.getSource(url);
+  if (!source) {
+    console.log('🔗 Provenance inconnue, renouvellement impossible');
+    return null;
+  }
+
+  const pages = [];
+  if (source.libraryId) pages.push(`${CONFIG.AD_PAGE_URL}${source.libraryId}`);
+  if (source.pageUrl) pages.push(source.pageUrl);
+
+  for (const pageUrl of pages) {
+    try {
+      console.log(`🔗 Recherche d'une URL fraîche sur: ${pageUrl}`);
+      const fresh = matchFreshUrl(url, await loadPageMedia(pageUrl));
+      if (fresh) {
+        console.log('🔗 URL renouvelée');
+        await mediaIndex.rememberSources([{ url: fresh, ...source }]);
+        return fresh;
+      }
+    } catch (error) {
+      console.error(`⚠️ Renouvellement impossible depuis ${pageUrl}:`, error.message);
+    }
+  }
+
+  console.log('🔗 Média introuvable sur sa page d\'origine');
+  return null;
+}
+
+/**
+ * Suit l'URL courante d'un média et la renouvelle au plus une fois
+ * @param {string} url - URL initiale
+ * @returns {Object} { url, refreshed, refresh() }
+ */
+function createUrlRefresher(url) {
+  let attempted = false;
+
+  return {
+    url,
+    refreshed: false,
+
+    /**
+     * Tente de renouveler l'URL (une seule tentative par média)
+     * @returns {Promise<boolean>} True si une nouvelle URL est disponible
+     */
+    async refresh() {
+      if (attempted) return false;
+      attempted = true;
+
+      const fresh = await refreshExpiredUrl(url);
+      if (!fresh) return false;
+
+      this.url = fresh;
+      this.refreshed = true;
+      return true;
+    }
+  };
+}
+
+/**
+ * Indique si une erreur de téléchargement correspond à une URL refusée par le CDN
+ * @param {Error} error - Erreur de téléchargement
+ * @returns {boolean}
+ */
+function isAccessDenied(error) {
+  return /^HTTP (403|404|410)$/.test(error.message);
+}
+
+/**
+ * Ferme le navigateur du résolveur et vide le cache des pages
+ */
+async function closeResolver() {
+  const current = pool;
+  pool = null;
+  pageCache.clear();
+
+  if (current) {
+    await current.close();
+  }
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  refreshExpiredUrl,
+  createUrlRefresher,
+  isAccessDenied,
+  closeResolver,
+  CONFIG
+};
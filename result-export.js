@@ -0,0 +1,449 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { describeProfile } = require('./selector-profiles');
+
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Formats d'export reconnus (json: fichier de résultats complet de saveResults)
+  FORMATS: ['json', 'csv', 'ndjson', 'xlsx'],
+
+  // Une ligne par annonce ('ads') ou par créative ('creatives') pour les résultats de scraping
+  ROWS: 'ads',
+
+  // Colonnes exportées (noms à points, ex: "advertiser.name"), toutes par défaut
+  COLUMNS: null,
+
+  // Séparateur des valeurs d'une liste dans une cellule (ex: plusieurs URLs)
+  LIST_SEPARATOR: '\n',
+
+  // Séparateur de colonnes CSV et BOM UTF-8 (accents lisibles à l'ouverture dans Excel)
+  CSV_DELIMITER: ',',
+  CSV_BOM: true,
+
+  // Longueur maximale d'une cellule XLSX (limite d'Excel)
+  XLSX_MAX_CELL_LENGTH: 32767
+};
+
+const ROW_TYPES = ['ads', 'creatives'];
+
+/**
+ * Aplatit un objet: les champs imbriqués deviennent "parent.enfant", les listes
+ * de valeurs simples sont jointes, les listes d'objets sont écrites en JSON
+ * @param {Object} object - Objet à aplatir
+ * @param {string} prefix - Préfixe des noms de champs
+ * @param {Object} row - Ligne complétée sur place
+ * @returns {Object} Ligne aplatie
+ */
+function flattenObject(object, prefix = '', row = {}) {
+  Object.entries(object).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+
+    if (Array.isArray(value)) {
+      row[name] = value.some(item => item !== null && typeof item === 'object')
+        ? JSON.stringify(value)
+        : value.join(CONFIG.LIST_SEPARATOR);
+    } else if (value !== null && typeof value === 'object') {
+      flattenObject(value, name, row);
+    } else {
+      row[name] = value;
+    }
+  });
+  return row;
+}
+
+/**
+ * Indique si un résultat provient du scraping (annonces) plutôt que d'un téléchargement
+ * @param {Object} result - Résultat d'une URL
+ * @returns {boolean}
+ */
+function isScrapingResult(result) {
+  return Array.isArray(result.ads);
+}
+
+/**
+ * Transforme un résultat en lignes d'export
+ * - scraping: une ligne par annonce ou par créative (une page en échec donne une ligne d'erreur)
+ * - téléchargement: une ligne par fichier (chaque résultat est une créative)
+ * @param {Object} result - Résultat d'une URL
+ * @param {string} rows - 'ads' ou 'creatives' (défaut: CONFIG.ROWS)
+ * @returns {Object[]} Lignes aplaties
+ */
+function toRows(result, rows = CONFIG.ROWS) {
+  if (!result) return [];
+  if (!isScrapingResult(result)) return [flattenObject(result)];
+
+  const page = {
+    query: result.url,
+    scrapedAt: result.timestamp,
+    profile: result.profile ? describeProfile(result.profile) : null,
+    extractor: result.extractor || null
+  };
+  if (!result.success) {
+    return [{ ...page, error: result.error }];
+  }
+
+  return result.ads.flatMap(ad => {
+    const { media, ...fields } = ad;
+    const adRow = { ...page, ...flattenObject(fields) };
+
+    if (rows === 'creatives') {
+      return media.map(item => ({
+        ...adRow,
+        ...flattenObject({ creative: { ...item, variants: (item.variants || []).map(variant => variant.url) } })
+      }));
+    }
+
+    const urlsOf = (type) => media.filter(item => (item.type === 'video') === (type === 'video')).map(item => item.url);
+    return [{
+      ...adRow,
+      mediaCount: media.length,
+      images: urlsOf('image').join(CONFIG.LIST_SEPARATOR),
+      videos: urlsOf('video').join(CONFIG.LIST_SEPARATOR)
+    }];
+  });
+}
+
+/**
+ * Détermine les colonnes d'un export
+ * @param {Object[]} rows - Lignes aplaties
+ * @param {string[]} columns - Colonnes demandées (défaut: CONFIG.COLUMNS, sinon toutes dans l'ordre d'apparition)
+ * @returns {string[]} Colonnes
+ */
+function getColumns(rows, columns = CONFIG.COLUMNS) {
+  if (columns && columns.length > 0) return columns;
+
+  const all = new Set();
+  rows.forEach(row => Object.keys(row).forEach(key => all.add(key)));
+  return [...all];
+}
+
+/**
+ * Met en forme une cellule CSV (guillemets si nécessaire)
+ * Un texte commençant par =, +, - ou @ est préfixé d'une apostrophe pour ne
+ * pas être interprété comme une formule par le tableur.
+ * @param {*} value - Valeur de la cellule
+ * @returns {string}
+ */
+function formatCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /["\r\n]/.test(text) || text.includes(CONFIG.CSV_DELIMITER) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Construit un fichier CSV
+ * @param {Object[]} rows - Lignes aplaties
+ * @param {string[]} columns - Colonnes
+ * @returns {string} Contenu CSV
+ */
+function toCsv(rows, columns) {
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(formatCsvCell).join(CONFIG.CSV_DELIMITER));
+  return (CONFIG.CSV_BOM ? '\uFEFF' : '') + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Réduit une ligne aux colonnes demandées
+ * @param {Object} row - Ligne aplatie
+ * @param {string[]} columns - Colonnes (toutes si absent)
+ * @returns {Object}
+ */
+function pickColumns(row, columns) {
+  if (!columns || columns.length === 0) return row;
+  return Object.fromEntries(columns.map(column => [column, row[column] === undefined ? null : row[column]]));
+}
+
+// ============= XLSX =============
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * Calcule le CRC-32 d'un contenu (contrôle d'intégrité des fichiers zip)
+ * @param {Buffer} buffer - Contenu
+ * @returns {number}
+ */
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Assemble une archive zip (contenus compressés en deflate)
+ * @param {Object[]} files - Fichiers { name, content }
+ * @returns {Buffer} Archive
+ */
+function buildZip(files) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+
+  // Date de modification au format DOS
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  files.forEach(file => {
+    const name = Buffer.from(file.name, 'utf8');
+    const content = Buffer.from(file.content, 'utf8');
+    const compressed = zlib.deflateRawSync(content);
+    const crc = crc32(content);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(dosTime, 10);
+    header.writeUInt16LE(dosDate, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(content.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    local.push(header, name, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt16LE(dosTime, 12);
+    entry.writeUInt16LE(dosDate, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(content.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, name);
+
+    offset += header.length + name.length + compressed.length;
+  });
+
+  const centralSize = central.reduce((sum, buffer) => sum + buffer.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...local, ...central, end]);
+}
+
+/**
+ * Échappe un texte pour XML (les caractères de contrôle interdits sont retirés)
+ * @param {string} text - Texte
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renvoie la lettre d'une colonne de tableur (0 → A, 26 → AA)
+ * @param {number} index - Index de la colonne
+ * @returns {string}
+ */
+function getColumnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Construit le XML d'une feuille (première ligne: en-têtes, figée)
+ * @param {Object[]} rows - Lignes aplaties
+ * @param {string[]} columns - Colonnes
+ * @returns {string}
+ */
+function buildSheetXml(rows, columns) {
+  const cell = (value, ref, style = '') => {
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c r="${ref}" t="b"${style}><v>${value ? 1 : 0}</v></c>`;
+    const text = escapeXml(String(value).slice(0, CONFIG.XLSX_MAX_CELL_LENGTH));
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${text}</t></is></c>`;
+  };
+
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))].map((cells, r) =>
+    `<row r="${r + 1}">${cells.map((value, c) => cell(value, `${getColumnLetter(c)}${r + 1}`, r === 0 ? ' s="1"' : '')).join('')}</row>`);
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData>${lines.join('')}</sheetData>`
+    + '</worksheet>';
+}
+
+/**
+ * Construit un classeur XLSX (une feuille par tableau)
+ * @param {Object[]} sheets - Feuilles { name, rows, columns }
+ * @returns {Buffer} Contenu du fichier .xlsx
+ */
+function toXlsx(sheets) {
+  const ns = 'http://schemas.openxmlformats.org';
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + `<Types xmlns="${ns}/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + `<Relationships xmlns="${ns}/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + `<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships"><sheets>`
+        // Noms de feuilles: 31 caractères au plus, sans []:*?/\
+        + sheets.map((sheet, i) => `<sheet name="${escapeXml(sheet.name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+        + '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + `<Relationships xmlns="${ns}/package/2006/relationships">`
+        + sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="${ns}/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      // Style 1: en-têtes en gras
+      name: 'xl/styles.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + `<styleSheet xmlns="${ns}/spreadsheetml/2006/main">`
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>'
+    },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: buildSheetXml(sheet.rows, sheet.columns) }))
+  ];
+
+  return buildZip(files);
+}
+
+// ============= EXPORTS =============
+
+/**
+ * Ouvre un fichier NDJSON alimenté au fil des résultats (une ligne par annonce, créative ou fichier)
+ * @param {string} filename - Nom du fichier (relatif au dossier courant)
+ * @param {Object} options - Options
+ * @param {string} options.rows - 'ads' ou 'creatives' (défaut: CONFIG.ROWS)
+ * @param {string[]} options.columns - Colonnes (défaut: CONFIG.COLUMNS)
+ * @returns {Object} { file, write(result), close() }
+ */
+function createNdjsonWriter(filename, options = {}) {
+  const file = path.join(process.cwd(), filename);
+  const columns = options.columns || CONFIG.COLUMNS;
+  const stream = fsSync.createWriteStream(file, { flags: 'w', encoding: 'utf8' });
+  let failure = null;
+  stream.on('error', (error) => { failure = error; });
+
+  return {
+    file,
+
+    /**
+     * Ajoute les lignes d'un résultat (écriture immédiate)
+     * @param {Object} result - Résultat d'une URL
+     * @returns {Promise<void>}
+     */
+    write(result) {
+      if (failure) return Promise.reject(failure);
+      const lines = toRows(result, options.rows).map(row => JSON.stringify(pickColumns(row, columns)) + '\n').join('');
+      if (!lines) return Promise.resolve();
+      return new Promise((resolve, reject) => stream.write(lines, error => (error ? reject(error) : resolve())));
+    },
+
+    /**
+     * Termine le fichier
+     * Un échec d'écriture est renvoyé, pas levé: il ne doit pas masquer l'erreur
+     * éventuelle du job pendant lequel le fichier est fermé.
+     * @returns {Promise<Error|null>} Erreur d'écriture ou null
+     */
+    close() {
+      return new Promise((resolve) => {
+        if (failure || stream.destroyed) return resolve(failure);
+        stream.once('error', () => resolve(failure));
+        stream.end(() => resolve(failure));
+      });
+    }
+  };
+}
+
+/**
+ * Exporte des résultats en CSV et/ou XLSX, à côté du fichier JSON de saveResults
+ * Plusieurs tableaux (ex: pipeline) donnent un fichier CSV chacun et une feuille XLSX chacun.
+ * @param {Object[]} tables - Tableaux { name, results }
+ * @param {string} basename - Nom des fichiers sans extension (relatif au dossier courant)
+ * @param {Object} options - Options
+ * @param {string[]} options.formats - Formats parmi csv et xlsx (les autres sont ignorés)
+ * @param {string} options.rows - 'ads' ou 'creatives' (défaut: CONFIG.ROWS)
+ * @param {string[]} options.columns - Colonnes (défaut: CONFIG.COLUMNS)
+ * @returns {Promise<string[]>} Fichiers écrits
+ */
+async function exportResults(tables, basename, options = {}) {
+  const formats = options.formats || [];
+  const sheets = tables.map(table => {
+    const rows = table.results.flatMap(result => toRows(result, options.rows));
+    return { name: table.name, rows, columns: getColumns(rows, options.columns) };
+  });
+  const written = [];
+
+  if (formats.includes('csv')) {
+    for (const sheet of sheets) {
+      const file = path.join(process.cwd(), sheets.length > 1 ? `${basename}.${sheet.name}.csv` : `${basename}.csv`);
+      await fs.writeFile(file, toCsv(sheet.rows, sheet.columns), 'utf8');
+      console.log(`📄 Export CSV (${sheet.rows.length} lignes): ${file}`);
+      written.push(file);
+    }
+  }
+
+  if (formats.includes('xlsx')) {
+    const file = path.join(process.cwd(), `${basename}.xlsx`);
+    await fs.writeFile(file, toXlsx(sheets));
+    console.log(`📊 Export XLSX (${sheets.map(sheet => `${sheet.name}: ${sheet.rows.length} lignes`).join(', ')}): ${file}`);
+    written.push(file);
+  }
+
+  return written;
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  toRows,
+  getColumns,
+  toCsv,
+  toXlsx,
+  createNdjsonWriter,
+  exportResults,
+  ROW_TYPES,
+  CONFIG
+};
@@ -0,0 +1,161 @@
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // URL de base de la bibliothèque publicitaire
+  BASE_URL: 'https://www.facebook.com/ads/library/',
+
+  // Valeurs acceptées par l'Ad Library
+  ACTIVE_STATUSES: ['active', 'inactive', 'all'],
+  MEDIA_TYPES: ['all', 'image', 'video', 'meme', 'image_and_meme', 'none'],
+  AD_TYPES: ['all', 'political_and_issue_ads', 'housing_ads', 'employment_ads', 'credit_ads'],
+
+  // Valeurs par défaut d'une recherche
+  DEFAULTS: {
+    countries: ['ALL'],
+    activeStatus: 'active',
+    adType: 'all',
+    mediaType: 'all',
+    exact: false
+  }
+};
+
+/**
+ * Convertit une valeur simple ou un tableau en tableau sans valeurs vides
+ * @param {string|string[]} value - Valeur(s) à normaliser
+ * @returns {string[]} Tableau de chaînes
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Vérifie une recherche structurée et complète les valeurs par défaut
+ * @param {Object} query - Recherche structurée
+ * @param {string|string[]} [query.keywords] - Mots-clés (ex: domaine d'un concurrent)
+ * @param {string|string[]} [query.pageIds] - Identifiants de pages annonceurs
+ * @param {string|string[]} [query.countries] - Codes pays ISO (ou 'ALL')
+ * @param {string} [query.activeStatus] - 'active', 'inactive' ou 'all'
+ * @param {string} [query.mediaType] - Type de média (voir CONFIG.MEDIA_TYPES)
+ * @param {string} [query.adType] - Catégorie d'annonces (voir CONFIG.AD_TYPES)
+ * @param {boolean} [query.exact] - Recherche de la phrase exacte
+ * @param {string} [query.startDate] - Date de début minimale (YYYY-MM-DD)
+ * @param {string} [query.endDate] - Date de début maximale (YYYY-MM-DD)
+ * @returns {Object} Recherche normalisée
+ */
+function validateSearchQuery(query = {}) {
+  const normalized = {
+    ...CONFIG.DEFAULTS,
+    ...query,
+    keywords: toList(query.keywords),
+    pageIds: toList(query.pageIds),
+    countries: toList(query.countries).map(c => c.toUpperCase())
+  };
+
+  if (normalized.countries.length === 0) {
+    normalized.countries = [...CONFIG.DEFAULTS.countries];
+  }
+
+  if (normalized.keywords.length === 0 && normalized.pageIds.length === 0) {
+    throw new Error('Recherche invalide: indiquez au moins un mot-clé ou un identifiant de page');
+  }
+
+  const invalidPageIds = normalized.pageIds.filter(id => !/^\d+$/.test(id));
+  if (invalidPageIds.length > 0) {
+    throw new Error(`Identifiant(s) de page invalide(s): ${invalidPageIds.join(', ')}`);
+  }
+
+  const invalidCountries = normalized.countries.filter(c => c !== 'ALL' && !/^[A-Z]{2}$/.test(c));
+  if (invalidCountries.length > 0) {
+    throw new Error(`Code(s) pays invalide(s): ${invalidCountries.join(', ')}`);
+  }
+
+  if (!CONFIG.ACTIVE_STATUSES.includes(normalized.activeStatus)) {
+    throw new Error(`Statut invalide: ${normalized.activeStatus} (attendu: ${CONFIG.ACTIVE_STATUSES.join(', ')})`);
+  }
+
+  if (!CONFIG.MEDIA_TYPES.includes(normalized.mediaType)) {
+    throw new Error(`Type de média invalide: ${normalized.mediaType} (attendu: ${CONFIG.MEDIA_TYPES.join(', ')})`);
+  }
+
+  if (!CONFIG.AD_TYPES.includes(normalized.adType)) {
+    throw new Error(`Type d'annonce invalide: ${normalized.adType} (attendu: ${CONFIG.AD_TYPES.join(', ')})`);
+  }
+
+  // Date.parse accepte '2025-02-30' (reporté au 2 mars): la date doit se relire à l'identique
+  for (const field of ['startDate', 'endDate']) {
+    const value = normalized[field];
+    const time = value ? Date.parse(value) : NaN;
+    if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value)) {
+      throw new Error(`Date invalide pour ${field}: ${value} (format attendu: YYYY-MM-DD)`);
+    }
+  }
+
+  if (normalized.startDate && normalized.endDate && normalized.startDate > normalized.endDate) {
+    throw new Error(`Période invalide: ${normalized.startDate} est après ${normalized.endDate}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Construit une URL de recherche Ad Library pour un terme et un pays
+ * @param {Object} query - Recherche normalisée
+ * @param {Object} target - Terme recherché ({ keyword } ou { pageId })
+ * @param {string} country - Code pays
+ * @returns {string} URL de recherche
+ */
+function buildSearchUrl(query, target, country) {
+  const url = new URL(CONFIG.BASE_URL);
+  const params = url.searchParams;
+
+  params.set('active_status', query.activeStatus);
+  params.set('ad_type', query.adType);
+  params.set('country', country);
+  params.set('is_targeted_country', 'false');
+  params.set('media_type', query.mediaType);
+
+  if (target.pageId) {
+    params.set('search_type', 'page');
+    params.set('view_all_page_id', target.pageId);
+  } else {
+    params.set('q', target.keyword);
+    params.set('search_type', query.exact ? 'keyword_exact_phrase' : 'keyword_unordered');
+  }
+
+  if (query.startDate) params.set('start_date[min]', query.startDate);
+  if (query.endDate) params.set('start_date[max]', query.endDate);
+
+  return url.toString();
+}
+
+/**
+ * Construit les URLs Ad Library d'une recherche structurée
+ * Une URL est générée par mot-clé (ou page) et par pays, l'Ad Library ne
+ * filtrant que sur un pays à la fois.
+ * @param {Object} query - Recherche structurée (voir validateSearchQuery)
+ * @returns {string[]} URLs de recherche
+ */
+function buildAdLibraryUrls(query) {
+  const normalized = validateSearchQuery(query);
+  const targets = [
+    ...normalized.keywords.map(keyword => ({ keyword })),
+    ...normalized.pageIds.map(pageId => ({ pageId }))
+  ];
+
+  const urls = [];
+  for (const target of targets) {
+    for (const country of normalized.countries) {
+      urls.push(buildSearchUrl(normalized, target, country));
+    }
+  }
+
+  return [...new Set(urls)];
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  buildAdLibraryUrls,
+  validateSearchQuery,
+  CONFIG
+};
@@ -0,0 +1,94 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Fichier déclarant les profils d'extraction (essayés dans l'ordre)
+  PROFILES_FILE: path.join(__dirname, 'selector-profiles.json')
+};
+
+// Champs d'un profil: chaque champ est une liste de sélecteurs CSS essayés dans l'ordre
+const FIELDS = ['creative', 'card', 'media', 'text', 'advertiser', 'date'];
+
+const cache = new Map();
+
+/**
+ * Vérifie un profil lu dans le fichier et complète les champs absents
+ * @param {Object} profile - Profil déclaré
+ * @param {number} position - Position dans le fichier (pour les messages d'erreur)
+ * @returns {Object} Profil normalisé ({ name, version, libraryIdFallback, selectors })
+ */
+function normalizeProfile(profile, position) {
+  const label = profile && profile.name ? profile.name : `#${position + 1}`;
+  if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+    throw new Error(`Profil de sélecteurs ${label}: nom manquant`);
+  }
+  if (profile.version === undefined || profile.version === null || profile.version === '') {
+    throw new Error(`Profil de sélecteurs ${label}: version manquante`);
+  }
+
+  const declared = profile.selectors || {};
+  const selectors = {};
+  FIELDS.forEach(field => {
+    const chain = declared[field] === undefined ? [] : declared[field];
+    if (!Array.isArray(chain) || chain.some(selector => typeof selector !== 'string' || !selector.trim())) {
+      throw new Error(`Profil de sélecteurs ${label}: "${field}" doit être une liste de sélecteurs CSS`);
+    }
+    selectors[field] = chain;
+  });
+
+  if (selectors.card.length === 0 && !profile.libraryIdFallback) {
+    throw new Error(`Profil de sélecteurs ${label}: aucun sélecteur de carte (ni libraryIdFallback)`);
+  }
+
+  return {
+    name: profile.name.trim(),
+    version: String(profile.version),
+    libraryIdFallback: Boolean(profile.libraryIdFallback),
+    selectors
+  };
+}
+
+/**
+ * Charge les profils d'extraction déclarés dans le fichier de configuration
+ * @param {string} file - Fichier de profils (défaut: CONFIG.PROFILES_FILE)
+ * @returns {Promise<Object[]>} Profils normalisés, dans l'ordre du fichier
+ */
+async function loadSelectorProfiles(file = CONFIG.PROFILES_FILE) {
+  const filepath = path.resolve(file);
+  if (!cache.has(filepath)) {
+    const task = fs.readFile(filepath, 'utf8').then((content) => {
+      let data;
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Fichier de profils illisible (${filepath}): ${error.message}`);
+      }
+
+      const profiles = Array.isArray(data) ? data : data.profiles;
+      if (!Array.isArray(profiles) || profiles.length === 0) {
+        throw new Error(`Aucun profil de sélecteurs déclaré dans: ${filepath}`);
+      }
+      return profiles.map(normalizeProfile);
+    });
+    task.catch(() => cache.delete(filepath));
+    cache.set(filepath, task);
+  }
+  return cache.get(filepath);
+}
+
+/**
+ * Renvoie le libellé d'un profil (ex: "ad-library@2025.1")
+ * @param {Object} profile - Profil normalisé
+ * @returns {string}
+ */
+function describeProfile(profile) {
+  return `${profile.name}@${profile.version}`;
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  loadSelectorProfiles,
+  describeProfile,
+  CONFIG
+};
@@ -0,0 +1,134 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Renvoie l'hôte d'une URL (clé de la limite par hôte)
+ * @param {string} url - URL de la tâche
+ * @returns {string} Nom d'hôte
+ */
+function getHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return 'inconnu';
+  }
+}
+
+/**
+ * Crée une file de tâches à concurrence constante
+ * Dès qu'une tâche se termine, la suivante démarre: une tâche lente n'immobilise
+ * que son propre emplacement. Limites: nombre total de tâches en cours, nombre
+ * de tâches en cours par hôte et nombre de démarrages par seconde.
+ * Événements: 'start' ({ host, running }), 'progress' (compteurs) et 'idle'.
+ * @param {Object} options - Options
+ * @param {number} options.concurrency - Tâches simultanées au total
+ * @param {number} options.perHost - Tâches simultanées par hôte (0 = sans limite)
+ * @param {number} options.rateLimit - Démarrages par seconde (0 = sans limite)
+ * @returns {EventEmitter} File ({ push, onIdle, stats })
+ */
+function createTaskQueue(options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const perHost = options.perHost || 0;
+  const interval = options.rateLimit ? 1000 / options.rateLimit : 0;
+
+  const queue = new EventEmitter();
+  const waiting = [];
+  const runningByHost = new Map();
+  const stats = { total: 0, completed: 0, failed: 0, running: 0 };
+  let nextStartAt = 0;
+  let timer = null;
+
+  const hostHasRoom = (host) => !perHost || (runningByHost.get(host) || 0) < perHost;
+
+  const progress = () => ({ ...stats, pending: waiting.length });
+
+  const schedule = () => {
+    while (stats.running < concurrency && waiting.length > 0) {
+      const position = waiting.findIndex(task => hostHasRoom(task.host));
+      if (position === -1) return;
+
+      // Limite de débit: les démarrages sont espacés d'au moins 1/rateLimit seconde
+      const now = Date.now();
+      if (interval && now < nextStartAt) {
+        if (!timer) {
+          timer = setTimeout(() => {
+            timer = null;
+            schedule();
+          }, nextStartAt - now);
+        }
+        return;
+      }
+      nextStartAt = Math.max(now, nextStartAt) + interval;
+
+      const [task] = waiting.splice(position, 1);
+      start(task);
+    }
+  };
+
+  const start = (task) => {
+    stats.running++;
+    runningByHost.set(task.host, (runningByHost.get(task.host) || 0) + 1);
+    queue.emit('start', { host: task.host, running: stats.running });
+
+    Promise.resolve()
+      .then(task.run)
+      .then(task.resolve, (error) => {
+        stats.failed++;
+        task.reject(error);
+      })
+      .finally(() => {
+        stats.running--;
+        stats.completed++;
+        const remaining = runningByHost.get(task.host) - 1;
+        if (remaining > 0) runningByHost.set(task.host, remaining);
+        else runningByHost.delete(task.host);
+
+        queue.emit('progress', progress());
+        if (stats.running === 0 && waiting.length === 0) {
+          queue.emit('idle');
+        }
+        schedule();
+      });
+  };
+
+  /**
+   * Ajoute une tâche à la file
+   * @param {Function} run - Fonction (async) exécutant la tâche
+   * @param {Object} taskOptions - { host } pour la limite par hôte
+   * @returns {Promise<*>} Résultat de la tâche
+   */
+  queue.push = (run, taskOptions = {}) => new Promise((resolve, reject) => {
+    stats.total++;
+    waiting.push({ run, host: taskOptions.host || 'inconnu', resolve, reject });
+    schedule();
+  });
+
+  /**
+   * Attend que toutes les tâches ajoutées soient terminées
+   * @returns {Promise<void>}
+   */
+  queue.onIdle = () => (stats.running === 0 && waiting.length === 0
+    ? Promise.resolve()
+    : new Promise(resolve => queue.once('idle', resolve)));
+
+  Object.defineProperty(queue, 'stats', { get: progress });
+
+  return queue;
+}
+
+/**
+ * Crée un écouteur 'progress' qui affiche l'avancement d'une file
+ * @param {string} label - Nature des éléments traités (ex: 'vidéos')
+ * @returns {Function} Écouteur
+ */
+function logProgress(label) {
+  return ({ completed, running, pending, total }) => {
+    console.log(`\n📊 Progression: ${completed}/${total} ${label} terminées (${running} en cours, ${pending} en attente)`);
+  };
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  createTaskQueue,
+  logProgress,
+  getHost
+};
@@ -0,0 +1,57 @@
+// Extraction hors ligne des annonces depuis une réponse GraphQL enregistrée (node --test test/)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { extractAdsFromFiles } = require('../graphql-extractor');
+
+// Réponse anonymisée: préfixe "for (;;);" puis deux objets en flux, dont un doublon
+const FIXTURE = path.join(__dirname, 'fixtures', 'graphql-ads.json');
+
+test('fixture: annonces normalisées sans doublon', async () => {
+  const ads = await extractAdsFromFiles([FIXTURE]);
+
+  assert.deepEqual(ads.map(ad => ad.libraryId), ['1000000000000001', '1000000000000002']);
+});
+
+test('fixture: annonce vidéo avec variantes HD/SD', async () => {
+  const [ad] = await extractAdsFromFiles([FIXTURE]);
+
+  assert.deepEqual(ad.advertiser, {
+    name: 'Boutique Exemple',
+    pageUrl: 'https://www.facebook.com/boutique.exemple',
+    pageId: '100000000000001'
+  });
+  assert.equal(ad.text, 'Soldes d\'hiver\n-30% sur tout');
+  assert.equal(ad.startDate, '2025-03-01');
+  assert.equal(ad.endDate, null);
+  assert.equal(ad.isActive, true);
+  assert.deepEqual(ad.platforms, ['Facebook', 'Instagram']);
+  assert.equal(ad.cta, 'Acheter');
+  assert.equal(ad.collationCount, 3);
+  assert.deepEqual(ad.media, [{
+    type: 'video',
+    url: 'https://video.example.com/v/hd.mp4?oe=67C0FFEE',
+    poster: 'https://scontent.example.com/v/poster.jpg',
+    variants: [
+      { url: 'https://video.example.com/v/hd.mp4?oe=67C0FFEE', quality: 'hd' },
+      { url: 'https://video.example.com/v/sd.mp4?oe=67C0FFEE', quality: 'sd' }
+    ],
+    source: 'graphql'
+  }]);
+});
+
+test('fixture: carrousel lu depuis les cartes', async () => {
+  const [, ad] = await extractAdsFromFiles([FIXTURE]);
+
+  assert.equal(ad.isActive, false);
+  assert.equal(ad.startDate, '2025-02-01');
+  assert.equal(ad.endDate, '2025-02-15');
+  assert.deepEqual(ad.platforms, ['Facebook', 'Audience Network']);
+  assert.equal(ad.text, 'Découvrez la collection');
+  assert.equal(ad.title, 'Modèle A');
+  assert.equal(ad.landingUrl, 'https://other.example.com/a');
+  assert.deepEqual(ad.media.map(m => m.url), [
+    'https://scontent.example.com/v/card-a.jpg',
+    'https://scontent.example.com/v/card-b.jpg'
+  ]);
+});
@@ -0,0 +1,136 @@
+// Tests des notifications contre un serveur HTTP local (node --test test/)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { notify, CONFIG } = require('../notifier');
+
+// Pas de fichier de destinations: seules celles du test sont utilisées
+CONFIG.SINKS_FILE = path.join(__dirname, 'notify.absent.json');
+
+/**
+ * Démarre un serveur qui enregistre les requêtes reçues
+ * @param {number} statusCode - Code HTTP renvoyé
+ * @returns {Promise<Object>} { url, received, close }
+ */
+function startServer(statusCode = 200) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.statusCode = statusCode;
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    received,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+const scrape = {
+  newAdIds: ['101', '102'],
+  results: [{
+    url: 'https://www.facebook.com/ads/library/?q=acme',
+    success: true,
+    ads: [
+      { libraryId: '101', advertiser: { name: 'Acme', pageId: '1' }, text: 'Soldes   d\'été', media: [{ type: 'image', url: 'https://scontent.example/a.jpg' }] },
+      { libraryId: '102', advertiser: { name: 'Other' }, text: null, media: [{ type: 'video', url: 'https://video.example/v.mp4', poster: 'https://scontent.example/p.jpg' }] },
+      { libraryId: '100', advertiser: { name: 'Acme' }, text: 'Déjà connue', media: [] }
+    ]
+  }]
+};
+
+// Journal des envois muet: la sortie standard est réservée au lanceur de tests
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test.afterEach(() => {
+  CONFIG.SINKS = [];
+});
+
+test('webhook: corps JSON avec message, compteurs et vignettes', async () => {
+  const server = await startServer();
+  CONFIG.SINKS = [{ type: 'webhook', url: `${server.url}/hook`, headers: { 'X-Token': 'secret' } }];
+
+  const deliveries = await notify('scrape', scrape);
+  await server.close();
+
+  assert.deepEqual(deliveries.map(d => d.success), [true]);
+  assert.equal(server.received.length, 1);
+  const [{ method, headers, body }] = server.received;
+  assert.equal(method, 'POST');
+  assert.equal(headers['content-type'], 'application/json');
+  assert.equal(headers['x-token'], 'secret');
+  assert.equal(body.event, 'scrape');
+  assert.equal(body.count, 2);
+  assert.deepEqual(body.items.map(ad => ad.libraryId), ['101', '102']);
+  assert.deepEqual(body.thumbnails, ['https://scontent.example/a.jpg', 'https://scontent.example/p.jpg']);
+  assert.match(body.message, /^🆕 2 nouvelles annonces \(1 images, 1 vidéos\) - Acme, Other/);
+  assert.match(body.message, /• Acme · 101 · Soldes d'été/);
+});
+
+test('slack: texte mrkdwn et bloc image par vignette, filtré par annonceur', async () => {
+  const server = await startServer();
+  CONFIG.SINKS = [{ type: 'slack', url: `${server.url}/slack`, advertisers: ['acme'], template: '{{count}} nouvelle(s) pour {{advertisers}}' }];
+
+  await notify('scrape', scrape);
+  await server.close();
+
+  assert.equal(server.received.length, 1);
+  assert.deepEqual(server.received[0].body, {
+    text: '1 nouvelle(s) pour Acme',
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: '1 nouvelle(s) pour Acme' } },
+      { type: 'image', image_url: 'https://scontent.example/a.jpg', alt_text: 'Créative' }
+    ]
+  });
+});
+
+test('téléchargements: fichiers nouveaux uniquement, événement filtré', async () => {
+  const server = await startServer();
+  CONFIG.SINKS = [
+    { type: 'webhook', url: `${server.url}/images`, template: { images: 'Images: {{count}} ({{files}})' } },
+    { type: 'webhook', url: `${server.url}/scrape-only`, events: ['scrape'] }
+  ];
+
+  await notify('images', {
+    summary: { failed: 0, duplicates: 1, totalSizeMB: 0.1, downloadFolder: 'images' },
+    results: [
+      { success: true, url: 'https://scontent.example/a.jpg', filename: '/tmp/a.jpg', fileSize: 1000 },
+      { success: true, duplicate: true, url: 'https://scontent.example/b.jpg', filename: '/tmp/b.jpg' }
+    ]
+  });
+  await server.close();
+
+  assert.deepEqual(server.received.map(r => r.path), ['/images']);
+  assert.equal(server.received[0].body.message, 'Images: 1 (a.jpg)');
+});
+
+test('erreur serveur: signalée sans nouvelle tentative', async () => {
+  const server = await startServer(503);
+  CONFIG.SINKS = [{ type: 'webhook', url: `${server.url}/down` }];
+
+  const deliveries = await notify('scrape', scrape);
+  await server.close();
+
+  assert.equal(server.received.length, 1);
+  assert.equal(deliveries[0].success, false);
+  assert.equal(deliveries[0].error, 'HTTP 503');
+});
+
+test('aucune nouvelle annonce: rien n\'est envoyé', async () => {
+  const server = await startServer();
+  CONFIG.SINKS = [{ type: 'webhook', url: `${server.url}/hook` }];
+
+  const deliveries = await notify('scrape', { ...scrape, newAdIds: [] });
+  await server.close();
+
+  assert.deepEqual(deliveries, []);
+  assert.equal(server.received.length, 0);
+});
@@ -0,0 +1,165 @@
+// Tests des exports CSV, XLSX et des lignes d'annonces (node --test test/)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { toRows, getColumns, toCsv, toXlsx, CONFIG } = require('../result-export');
+
+const scrape = {
+  url: 'https://www.facebook.com/ads/library/?q=acme',
+  success: true,
+  timestamp: '2025-03-01T10:00:00.000Z',
+  extractor: 'dom',
+  ads: [{
+    libraryId: '101',
+    advertiser: { name: 'Acme', pageId: '1' },
+    platforms: ['Facebook', 'Instagram'],
+    text: 'Soldes',
+    media: [
+      { type: 'image', url: 'https://scontent.example/a.jpg', poster: null },
+      { type: 'video', url: 'https://video.example/hd.mp4', poster: 'https://scontent.example/p.jpg', variants: [{ url: 'https://video.example/hd.mp4', quality: 'hd' }, { url: 'https://video.example/sd.mp4', quality: 'sd' }] }
+    ]
+  }]
+};
+
+/**
+ * CRC-32 calculé bit à bit, indépendamment de la table de result-export.js
+ * @param {Buffer} buffer - Contenu
+ * @returns {number}
+ */
+function referenceCrc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Lit les entrées d'une archive zip depuis son répertoire central
+ * @param {Buffer} zip - Archive
+ * @returns {Object[]} Entrées { name, crc, size, content }
+ */
+function readZip(zip) {
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50);
+  const count = zip.readUInt16LE(end + 10);
+  let offset = zip.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    assert.equal(zip.readUInt32LE(offset), 0x02014b50);
+    const crc = zip.readUInt32LE(offset + 16);
+    const compressedSize = zip.readUInt32LE(offset + 20);
+    const size = zip.readUInt32LE(offset + 24);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const localOffset = zip.readUInt32LE(offset + 42);
+    const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    // L'en-tête local doit annoncer le même CRC que le répertoire central
+    assert.equal(zip.readUInt32LE(localOffset), 0x04034b50);
+    assert.equal(zip.readUInt32LE(localOffset + 14), crc);
+    const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26) + zip.readUInt16LE(localOffset + 28);
+    const content = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize));
+
+    entries.push({ name, crc, size, content });
+    offset += 46 + nameLength + zip.readUInt16LE(offset + 30) + zip.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
+
+test('toRows: une ligne par annonce avec les URLs des médias', () => {
+  const rows = toRows(scrape, 'ads');
+
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].query, scrape.url);
+  assert.equal(rows[0].scrapedAt, scrape.timestamp);
+  assert.equal(rows[0].libraryId, '101');
+  assert.equal(rows[0]['advertiser.name'], 'Acme');
+  assert.equal(rows[0].platforms, 'Facebook\nInstagram');
+  assert.equal(rows[0].mediaCount, 2);
+  assert.equal(rows[0].images, 'https://scontent.example/a.jpg');
+  assert.equal(rows[0].videos, 'https://video.example/hd.mp4');
+  assert.equal(rows[0].media, undefined);
+});
+
+test('toRows: une ligne par créative avec ses variantes', () => {
+  const rows = toRows(scrape, 'creatives');
+
+  assert.deepEqual(rows.map(row => row['creative.url']), ['https://scontent.example/a.jpg', 'https://video.example/hd.mp4']);
+  assert.ok(rows.every(row => row.libraryId === '101' && row['advertiser.name'] === 'Acme'));
+  assert.equal(rows[1]['creative.type'], 'video');
+  assert.equal(rows[1]['creative.poster'], 'https://scontent.example/p.jpg');
+  assert.equal(rows[1]['creative.variants'], 'https://video.example/hd.mp4\nhttps://video.example/sd.mp4');
+});
+
+test('toRows: page en échec et résultat de téléchargement', () => {
+  assert.deepEqual(toRows({ url: 'q', success: false, error: 'Timeout', timestamp: 't', ads: [] }), [
+    { query: 'q', scrapedAt: 't', profile: null, extractor: null, error: 'Timeout' }
+  ]);
+  assert.deepEqual(toRows({ url: 'u', success: true, dimensions: { width: 10, height: 20 } }), [
+    { url: 'u', success: true, 'dimensions.width': 10, 'dimensions.height': 20 }
+  ]);
+  assert.deepEqual(toRows(null), []);
+});
+
+test('CSV: guillemets, séparateurs et retours à la ligne', () => {
+  const csv = toCsv([{ a: 'simple', b: 'a,b', c: 'dit "oui"', d: 'ligne 1\nligne 2', e: null }], ['a', 'b', 'c', 'd', 'e']);
+
+  assert.equal(csv, '\uFEFFa,b,c,d,e\r\nsimple,"a,b","dit ""oui""","ligne 1\nligne 2",\r\n');
+});
+
+test('CSV: les textes pris pour des formules sont préfixés d\'une apostrophe', () => {
+  const rows = [{ a: '=SUM(A1:A2)', b: '+33 1 23', c: '-x', d: '@cmd', e: -5 }];
+  const csv = toCsv(rows, ['a', 'b', 'c', 'd', 'e']);
+
+  assert.equal(csv.split('\r\n')[1], '\'=SUM(A1:A2),\'+33 1 23,\'-x,\'@cmd,-5');
+});
+
+test('CSV: BOM UTF-8 désactivable', (t) => {
+  t.after(() => { CONFIG.CSV_BOM = true; });
+
+  assert.ok(toCsv([], ['a']).startsWith('\uFEFF'));
+  CONFIG.CSV_BOM = false;
+  assert.equal(toCsv([], ['a']), 'a\r\n');
+});
+
+test('XLSX: parties du classeur et CRC de chaque fichier', () => {
+  assert.equal(referenceCrc32(Buffer.from('123456789')), 0xCBF43926);
+
+  const rows = toRows(scrape, 'ads');
+  const xlsx = toXlsx([
+    { name: 'scraping', rows, columns: getColumns(rows) },
+    { name: 'images: [1/2]', rows: [], columns: ['url'] }
+  ]);
+  const entries = readZip(xlsx);
+
+  assert.deepEqual(entries.map(entry => entry.name), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/workbook.xml',
+    'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml',
+    'xl/worksheets/sheet1.xml',
+    'xl/worksheets/sheet2.xml'
+  ]);
+  entries.forEach(entry => {
+    assert.equal(entry.content.length, entry.size, entry.name);
+    assert.equal(entry.crc, referenceCrc32(entry.content), entry.name);
+  });
+
+  const files = Object.fromEntries(entries.map(entry => [entry.name, entry.content.toString('utf8')]));
+  assert.match(files['xl/workbook.xml'], /<sheet name="scraping" sheetId="1" r:id="rId1"\/><sheet name="images   1 2 " sheetId="2" r:id="rId2"\/>/);
+  assert.match(files['[Content_Types].xml'], /PartName="\/xl\/worksheets\/sheet2\.xml"/);
+  assert.match(files['xl/_rels/workbook.xml.rels'], /Id="rId3"[^>]*Target="styles\.xml"/);
+});
+
+test('XLSX: en-têtes en gras, nombres et textes échappés', () => {
+  const xlsx = toXlsx([{ name: 'feuille', rows: [{ a: 42, b: 'A & <B>', c: true }], columns: ['a', 'b', 'c'] }]);
+  const sheet = readZip(xlsx).find(entry => entry.name === 'xl/worksheets/sheet1.xml').content.toString('utf8');
+
+  assert.match(sheet, /<row r="1"><c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">a<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="A2"><v>42<\/v><\/c>/);
+  assert.match(sheet, /<t xml:space="preserve">A &amp; &lt;B&gt;<\/t>/);
+  assert.match(sheet, /<c r="C2" t="b"><v>1<\/v><\/c>/);
+});
@@ -0,0 +1,304 @@
+const fs = require('fs').promises;
+
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Formats publicitaires courants (largeur:hauteur)
+  ASPECT_RATIOS: {
+    '9:16': 9 / 16,
+    '4:5': 4 / 5,
+    '1:1': 1,
+    '16:9': 16 / 9,
+    '4:3': 4 / 3,
+    '3:4': 3 / 4,
+    '2:3': 2 / 3
+  },
+
+  // Écart relatif toléré pour rattacher une vidéo à un format courant
+  ASPECT_TOLERANCE: 0.03,
+
+  // Taille maximale de la boîte moov lue en mémoire (en bytes)
+  MAX_MOOV_SIZE: 50 * 1024 * 1024
+};
+
+// Noms lisibles des codecs (type de l'entrée stsd)
+const CODEC_NAMES = {
+  avc1: 'H.264', avc3: 'H.264', hvc1: 'H.265', hev1: 'H.265',
+  vp09: 'VP9', av01: 'AV1', mp4v: 'MPEG-4 Visual',
+  mp4a: 'AAC', 'ac-3': 'AC-3', 'ec-3': 'E-AC-3', Opus: 'Opus'
+};
+
+// Boîtes conteneurs parcourues récursivement
+const CONTAINER_BOXES = ['moov', 'trak', 'mdia', 'minf', 'stbl', 'mvex', 'edts', 'udta'];
+
+/**
+ * Découpe un buffer en boîtes MP4
+ * @param {Buffer} buffer - Contenu à analyser
+ * @param {number} start - Début de la zone
+ * @param {number} end - Fin de la zone
+ * @returns {Object[]} Boîtes ({ type, start, end, data })
+ */
+function parseBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) break;
+
+    boxes.push({ type, start: offset, end: offset + size, data: offset + header });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Cherche la première boîte d'un type donné (recherche en profondeur)
+ * @param {Buffer} buffer - Contenu
+ * @param {Object} parent - Boîte parente
+ * @param {string} type - Type recherché
+ * @returns {Object|null} Boîte trouvée
+ */
+function findBox(buffer, parent, type) {
+  for (const box of parseBoxes(buffer, parent.data, parent.end)) {
+    if (box.type === type) return box;
+    if (CONTAINER_BOXES.includes(box.type)) {
+      const found = findBox(buffer, box, type);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lit une durée (version 0: 32 bits, version 1: 64 bits)
+ * @param {Buffer} buffer - Contenu
+ * @param {number} offset - Position
+ * @param {number} version - Version de la boîte
+ * @returns {number}
+ */
+function readDuration(buffer, offset, version) {
+  return version === 1 ? Number(buffer.readBigUInt64BE(offset)) : buffer.readUInt32BE(offset);
+}
+
+/**
+ * Analyse une piste (trak): type, dimensions, codec, cadence et débit
+ * @param {Buffer} buffer - Contenu de la boîte moov
+ * @param {Object} trak - Boîte trak
+ * @returns {Object|null} Informations de la piste
+ */
+function parseTrack(buffer, trak) {
+  const hdlr = findBox(buffer, trak, 'hdlr');
+  const mdhd = findBox(buffer, trak, 'mdhd');
+  const tkhd = findBox(buffer, trak, 'tkhd');
+  const stsd = findBox(buffer, trak, 'stsd');
+  if (!hdlr || !mdhd || !stsd) return null;
+
+  const track = { handler: buffer.toString('latin1', hdlr.data + 8, hdlr.data + 12) };
+
+  // mdhd: échelle de temps et durée propres à la piste
+  const mdhdVersion = buffer[mdhd.data];
+  const timescaleOffset = mdhd.data + (mdhdVersion === 1 ? 20 : 12);
+  track.timescale = buffer.readUInt32BE(timescaleOffset);
+  track.duration = track.timescale ? readDuration(buffer, timescaleOffset + 4, mdhdVersion) / track.timescale : 0;
+
+  // tkhd: matrice de rotation et dimensions d'affichage (16.16)
+  if (tkhd) {
+    const base = tkhd.data + (buffer[tkhd.data] === 1 ? 36 : 24) + 16;
+    const a = buffer.readInt32BE(base) / 65536;
+    const b = buffer.readInt32BE(base + 4) / 65536;
+    track.rotation = ((Math.round(Math.atan2(b, a) * 180 / Math.PI) % 360) + 360) % 360;
+    track.displayWidth = buffer.readUInt32BE(base + 36) / 65536;
+    track.displayHeight = buffer.readUInt32BE(base + 40) / 65536;
+  }
+
+  // stsd: première entrée de description des échantillons
+  const entry = stsd.data + 8;
+  track.codec = buffer.toString('latin1', entry + 4, entry + 8);
+  const payload = entry + 8;
+
+  if (track.handler === 'vide') {
+    track.width = buffer.readUInt16BE(payload + 24);
+    track.height = buffer.readUInt16BE(payload + 26);
+
+    // avcC: profil et niveau H.264 (ex: avc1.64001f)
+    const avcC = parseBoxes(buffer, payload + 78, buffer.readUInt32BE(entry) + entry)
+      .find(box => box.type === 'avcC');
+    if (avcC) {
+      track.codecString = `${track.codec}.${buffer.subarray(avcC.data + 1, avcC.data + 4).toString('hex')}`;
+    }
+  } else if (track.handler === 'soun') {
+    track.channels = buffer.readUInt16BE(payload + 16);
+    track.sampleRate = buffer.readUInt32BE(payload + 24) / 65536;
+  }
+
+  // stts: nombre d'échantillons (images pour la vidéo)
+  const stts = findBox(buffer, trak, 'stts');
+  if (stts) {
+    const count = buffer.readUInt32BE(stts.data + 4);
+    track.sampleCount = 0;
+    for (let i = 0; i < count; i++) {
+      track.sampleCount += buffer.readUInt32BE(stts.data + 8 + i * 8);
+    }
+  }
+
+  // stsz: taille totale des échantillons -> débit de la piste
+  const stsz = findBox(buffer, trak, 'stsz');
+  if (stsz) {
+    const sampleSize = buffer.readUInt32BE(stsz.data + 4);
+    const count = buffer.readUInt32BE(stsz.data + 8);
+    let bytes = sampleSize * count;
+    if (sampleSize === 0) {
+      for (let i = 0; i < count; i++) {
+        bytes += buffer.readUInt32BE(stsz.data + 12 + i * 4);
+      }
+    }
+    track.bytes = bytes;
+  }
+
+  return track;
+}
+
+/**
+ * Rattache des dimensions à un format publicitaire courant
+ * @param {number} width - Largeur affichée
+ * @param {number} height - Hauteur affichée
+ * @returns {string|null} Format (ex: '9:16') ou ratio réduit
+ */
+function getAspectRatioLabel(width, height) {
+  if (!width || !height) return null;
+
+  const ratio = width / height;
+  for (const [label, value] of Object.entries(CONFIG.ASPECT_RATIOS)) {
+    if (Math.abs(ratio - value) / value <= CONFIG.ASPECT_TOLERANCE) return label;
+  }
+
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  const divisor = gcd(width, height);
+  return `${width / divisor}:${height / divisor}`;
+}
+
+/**
+ * Localise et lit la boîte moov d'un fichier MP4 sans charger les données média
+ * @param {string} filename - Chemin du fichier
+ * @returns {Promise<Object>} Buffer de moov, marque ftyp et taille du fichier
+ */
+async function readMoovBox(filename) {
+  const handle = await fs.open(filename, 'r');
+
+  try {
+    const { size: fileSize } = await handle.stat();
+    const header = Buffer.alloc(16);
+    let brand = null;
+    let offset = 0;
+
+    while (offset + 8 <= fileSize) {
+      await handle.read(header, 0, 16, offset);
+      let size = header.readUInt32BE(0);
+      const type = header.toString('latin1', 4, 8);
+
+      if (size === 1) size = Number(header.readBigUInt64BE(8));
+      else if (size === 0) size = fileSize - offset;
+      if (size < 8) break;
+
+      if (type === 'ftyp') {
+        brand = header.toString('latin1', 8, 12).trim();
+      }
+      if (type === 'moov') {
+        if (size > CONFIG.MAX_MOOV_SIZE) throw new Error(`Boîte moov trop grande (${size} bytes)`);
+        const moov = Buffer.alloc(size);
+        await handle.read(moov, 0, size, offset);
+        return { moov, brand, fileSize };
+      }
+
+      offset += size;
+    }
+
+    throw new Error('Boîte moov introuvable (fichier incomplet ou non MP4)');
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Extrait les métadonnées d'une vidéo MP4 (boîtes mvhd, tkhd, mdhd, stsd...)
+ * @param {string} filename - Chemin du fichier
+ * @returns {Promise<Object>} Durée, résolution, format, codecs, cadence, débits et audio
+ */
+async function readVideoMetadata(filename) {
+  const { moov, brand, fileSize } = await readMoovBox(filename);
+  const root = { data: moov.readUInt32BE(0) === 1 ? 16 : 8, end: moov.length };
+
+  // mvhd: durée globale (mehd pour les fichiers fragmentés)
+  let duration = 0;
+  const mvhd = findBox(moov, root, 'mvhd');
+  if (mvhd) {
+    const version = moov[mvhd.data];
+    const timescaleOffset = mvhd.data + (version === 1 ? 20 : 12);
+    const timescale = moov.readUInt32BE(timescaleOffset);
+    duration = timescale ? readDuration(moov, timescaleOffset + 4, version) / timescale : 0;
+
+    const mehd = findBox(moov, root, 'mehd');
+    if (!duration && mehd && timescale) {
+      duration = readDuration(moov, mehd.data + 4, moov[mehd.data]) / timescale;
+    }
+  }
+
+  const tracks = parseBoxes(moov, root.data, root.end)
+    .filter(box => box.type === 'trak')
+    .map(trak => parseTrack(moov, trak))
+    .filter(Boolean);
+
+  const video = tracks.find(t => t.handler === 'vide');
+  const audio = tracks.find(t => t.handler === 'soun');
+  if (!duration) {
+    duration = Math.max(0, ...tracks.map(t => t.duration));
+  }
+
+  let width = null;
+  let height = null;
+  if (video) {
+    width = video.displayWidth || video.width;
+    height = video.displayHeight || video.height;
+    if (video.rotation === 90 || video.rotation === 270) {
+      [width, height] = [height, width];
+    }
+  }
+
+  const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+  return {
+    container: brand || 'mp4',
+    duration: duration ? round(duration, 2) : null,
+    width: width ? Math.round(width) : null,
+    height: height ? Math.round(height) : null,
+    aspectRatio: video ? getAspectRatioLabel(Math.round(width), Math.round(height)) : null,
+    orientation: video ? (width > height ? 'landscape' : width < height ? 'portrait' : 'square') : null,
+    rotation: video ? video.rotation || 0 : null,
+    videoCodec: video ? (video.codecString || video.codec) : null,
+    videoCodecName: video ? CODEC_NAMES[video.codec] || video.codec : null,
+    frameRate: video && video.sampleCount && video.duration ? round(video.sampleCount / video.duration, 2) : null,
+    videoBitrate: video && video.bytes && video.duration ? Math.round(video.bytes * 8 / video.duration) : null,
+    bitrate: duration ? Math.round(fileSize * 8 / duration) : null,
+    hasAudio: Boolean(audio),
+    audioCodec: audio ? CODEC_NAMES[audio.codec] || audio.codec : null,
+    audioChannels: audio ? audio.channels : null,
+    audioSampleRate: audio ? audio.sampleRate : null
+  };
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  readVideoMetadata,
+  getAspectRatioLabel,
+  CONFIG
+};
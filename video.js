@@ -1,19 +1,40 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
-const https = require('https');
+const fsSync = require('fs');
 const path = require('path');
+const { openJobJournal } = require('./journal');
+const { loadMediaIndex } = require('./media-index');
+const { checkUrlExpiry, formatDelay, sortIndexesByExpiry, getVideoEncoding, CONFIG: FBCDN_CONFIG } = require('./fbcdn');
+const { readVideoMetadata } = require('./video-metadata');
+const { request, head, getRetryDelay, parseRetryAfter, sleep, CONFIG: HTTP_CONFIG } = require('./http-client');
+const { createTaskQueue, logProgress, getHost } = require('./task-queue');
+const { notify } = require('./notifier');
+const { createUrlRefresher, isAccessDenied, closeResolver } = require('./resolver');
 
 // ============= CONFIGURATION =============
 const CONFIG = {
-  // Nombre d'URLs à traiter en parallèle
-  BATCH_SIZE: 3,
+  // Nombre d'URLs traitées simultanément
+  CONCURRENCY: 3,
   
-  // Timeout pour les téléchargements (en ms)
+  // Téléchargements simultanés maximum vers un même serveur
+  PER_HOST_CONCURRENCY: 2,
+  
+  // Timeout d'inactivité des téléchargements (en ms)
   DOWNLOAD_TIMEOUT: 60000,
   
+  // Nombre de tentatives (avec reprise) par fichier
+  MAX_DOWNLOAD_ATTEMPTS: 3,
+  
   // Dossier de téléchargement
   DOWNLOAD_FOLDER: './downloads',
   
+  // Choix de la variante quand une vidéo existe en plusieurs qualités (HD/SD):
+  // 'highest-resolution', 'smallest-size' ou 'max-bitrate'
+  VARIANT_POLICY: 'highest-resolution',
+  
+  // Débit maximum accepté par la politique 'max-bitrate' (en kbit/s)
+  MAX_BITRATE: 2500,
+  
   // Options du navigateur
   BROWSER_OPTIONS: {
     headless: true,
@@ -29,64 +50,216 @@ const CONFIG = {
   }
 };
 
+/**
+ * Lit l'état d'un téléchargement partiel (.part et ses métadonnées)
+ * @param {string} filename - Nom du fichier de destination
+ * @returns {Promise<Object|null>} Taille déjà reçue et métadonnées, ou null
+ */
+async function readPartialState(filename) {
+  try {
+    const stats = await fs.stat(`${filename}.part`);
+    const meta = JSON.parse(await fs.readFile(`${filename}.part.json`, 'utf8'));
+    return { ...meta, size: stats.size };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Supprime un téléchargement partiel et ses métadonnées
+ * @param {string} filename - Nom du fichier de destination
+ */
+async function discardPartial(filename) {
+  await fs.rm(`${filename}.part`, { force: true });
+  await fs.rm(`${filename}.part.json`, { force: true });
+}
+
+/**
+ * Analyse un header Content-Range (ex: "bytes 100-199/1000")
+ * @param {string} header - Valeur du header
+ * @returns {Object|null} Début, fin et taille totale
+ */
+function parseContentRange(header) {
+  const match = /^bytes (?:(\d+)-(\d+)|\*)\/(\d+|\*)$/.exec(header || '');
+  if (!match) return null;
+  return {
+    start: match[1] !== undefined ? parseInt(match[1], 10) : null,
+    end: match[2] !== undefined ? parseInt(match[2], 10) : null,
+    total: match[3] !== '*' ? parseInt(match[3], 10) : null
+  };
+}
+
+/**
+ * Effectue une tentative de téléchargement vers le fichier .part
+ * Reprend à partir de la taille déjà reçue si un partiel est fourni.
+ * @param {string} url - URL du fichier à télécharger
+ * @param {string} filename - Nom du fichier de destination
+ * @param {Object|null} partial - État du téléchargement partiel
+ * @returns {Promise<Object>} Taille reçue, taille attendue et possibilité de reprise
+ */
+async function downloadAttempt(url, filename, partial) {
+  const partFile = `${filename}.part`;
+  const headers = {};
+  if (partial) {
+    headers.Range = `bytes=${partial.size}-`;
+    if (partial.etag || partial.lastModified) {
+      headers['If-Range'] = partial.etag || partial.lastModified;
+    }
+  }
+
+  const restartError = (message) => Object.assign(new Error(message), { restart: true });
+  // Une seule couche de nouvelles tentatives: celle de downloadFile, qui reprend le partiel
+  const { response } = await request(url, { headers, timeout: CONFIG.DOWNLOAD_TIMEOUT, maxRetries: 0 }).catch((error) => {
+    // Aucune donnée reçue: le partiel reste utilisable
+    throw Object.assign(error, { resumable: true });
+  });
+
+  let startOffset = 0;
+  let totalSize = parseInt(response.headers['content-length'], 10) || null;
+
+  if (partial && response.statusCode === 206) {
+    const range = parseContentRange(response.headers['content-range']);
+    if (!range || range.start !== partial.size || (partial.totalSize && range.total !== partial.totalSize)) {
+      response.resume();
+      throw restartError('Reprise impossible: plage renvoyée incohérente');
+    }
+    startOffset = partial.size;
+    totalSize = range.total;
+  } else if (partial && response.statusCode === 416) {
+    response.resume();
+    const range = parseContentRange(response.headers['content-range']);
+    if (range && range.total === partial.size) {
+      // Le fichier partiel était déjà complet
+      return { size: partial.size, totalSize: partial.size, resumable: true };
+    }
+    throw restartError('Reprise impossible: plage refusée par le serveur');
+  } else if (response.statusCode !== 200) {
+    response.resume();
+    // Erreur serveur ou limite de débit: temporaire, le partiel reste utilisable
+    if (response.statusCode >= 500 || response.statusCode === 429) {
+      const retryAfter = parseRetryAfter(response.headers['retry-after']);
+      throw Object.assign(new Error(`HTTP ${response.statusCode}`), { resumable: true, retryAfter });
+    }
+    throw Object.assign(new Error(`HTTP ${response.statusCode}`), { fatal: true });
+  }
+
+  if (partial && startOffset === 0) {
+    console.log(`\n🔄 Le serveur a renvoyé le fichier complet, redémarrage de ${path.basename(filename)}`);
+  }
+
+  const resumable = response.statusCode === 206 || response.headers['accept-ranges'] === 'bytes';
+  const meta = {
+    url: url,
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null,
+    totalSize: totalSize
+  };
+
+  try {
+    await fs.writeFile(`${partFile}.json`, JSON.stringify(meta), 'utf8');
+  } catch (error) {
+    response.destroy();
+    throw error;
+  }
+
+  return new Promise((resolve, reject) => {
+    let downloadedSize = startOffset;
+    let failure = null;
+    const file = fsSync.createWriteStream(partFile, { flags: startOffset > 0 ? 'a' : 'w' });
+    const fail = (err) => {
+      if (failure) return;
+      failure = err;
+      file.end();
+    };
+
+    response.on('data', (chunk) => {
+      downloadedSize += chunk.length;
+      if (totalSize) {
+        const progress = Math.round((downloadedSize / totalSize) * 100);
+        process.stdout.write(`\r📥 ${filename}: ${progress}%`);
+      }
+    });
+
+    response.on('error', fail);
+    response.on('aborted', () => fail(new Error('Connexion interrompue')));
+    file.on('error', fail);
+    file.on('close', () => {
+      if (failure) {
+        failure.resumable = resumable;
+        reject(failure);
+      } else {
+        resolve({ size: downloadedSize, totalSize, resumable });
+      }
+    });
+
+    response.pipe(file);
+  });
+}
+
 /**
  * Télécharge un fichier depuis une URL
+ * Le fichier est écrit dans un .part puis renommé une fois complet. Une
+ * interruption reprend là où elle s'est arrêtée grâce aux requêtes Range.
  * @param {string} url - URL du fichier à télécharger
  * @param {string} filename - Nom du fichier de destination
  * @returns {Promise<Object>} Résultat du téléchargement
  */
 async function downloadFile(url, filename) {
-  return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      reject(new Error('Timeout de téléchargement'));
-    }, CONFIG.DOWNLOAD_TIMEOUT);
+  let lastError = null;
+  let resumed = false;
 
-    const file = require('fs').createWriteStream(filename);
-    
-    https.get(url, (response) => {
-      if (response.statusCode !== 200) {
-        clearTimeout(timeout);
-        reject(new Error(`HTTP ${response.statusCode}`));
-        return;
+  for (let attempt = 1; attempt <= CONFIG.MAX_DOWNLOAD_ATTEMPTS; attempt++) {
+    const partial = await readPartialState(filename);
+    if (partial && partial.size > 0) {
+      console.log(`\n⏯️ Reprise de ${path.basename(filename)} à ${(partial.size / 1024 / 1024).toFixed(2)} MB`);
+      resumed = true;
+    }
+
+    try {
+      const result = await downloadAttempt(url, filename, partial && partial.size > 0 ? partial : null);
+
+      if (result.totalSize && result.size !== result.totalSize) {
+        throw Object.assign(
+          new Error(`Téléchargement incomplet (${result.size}/${result.totalSize} bytes)`),
+          { resumable: result.resumable }
+        );
       }
 
-      const totalSize = parseInt(response.headers['content-length'], 10);
-      let downloadedSize = 0;
+      await fs.rename(`${filename}.part`, filename);
+      await fs.rm(`${filename}.part.json`, { force: true });
 
-      response.on('data', (chunk) => {
-        downloadedSize += chunk.length;
-        if (totalSize) {
-          const progress = Math.round((downloadedSize / totalSize) * 100);
-          process.stdout.write(`\r📥 ${filename}: ${progress}%`);
-        }
-      });
-
-      response.pipe(file);
-
-      file.on('finish', () => {
-        clearTimeout(timeout);
-        file.close();
-        console.log(`\n✅ Téléchargé: ${filename}`);
-        resolve({
-          success: true,
-          filename: filename,
-          size: downloadedSize,
-          url: url
-        });
-      });
-
-      file.on('error', (err) => {
-        clearTimeout(timeout);
-        file.close();
-        require('fs').unlink(filename, () => {}); // Supprimer le fichier partiel
-        reject(err);
-      });
-
-    }).on('error', (err) => {
-      clearTimeout(timeout);
-      reject(err);
-    });
-  });
+      console.log(`\n✅ Téléchargé: ${filename}`);
+      return {
+        success: true,
+        filename: filename,
+        size: result.size,
+        resumed: resumed,
+        attempts: attempt,
+        url: url
+      };
+
+    } catch (error) {
+      lastError = error;
+
+      // Une erreur HTTP 4xx ne se corrige pas en réessayant: le partiel est conservé
+      if (error.fatal) break;
+
+      if (error.restart || !error.resumable) {
+        await discardPartial(filename);
+      }
+
+      if (attempt < CONFIG.MAX_DOWNLOAD_ATTEMPTS) {
+        // Délai demandé par le serveur (Retry-After) s'il reste raisonnable
+        const delay = error.retryAfter !== undefined && error.retryAfter !== null && error.retryAfter <= HTTP_CONFIG.MAX_RETRY_AFTER
+          ? error.retryAfter
+          : getRetryDelay(attempt);
+        console.log(`\n🔁 ${error.message} - nouvelle tentative dans ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${CONFIG.MAX_DOWNLOAD_ATTEMPTS})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  throw lastError;
 }
 
 /**
@@ -95,13 +268,117 @@ async function downloadFile(url, filename) {
  * @returns {Promise<boolean>} True si l'URL est valide
  */
 async function checkUrlValidity(url) {
-  return new Promise((resolve) => {
-    https.get(url, { method: 'HEAD' }, (response) => {
-      resolve(response.statusCode === 200);
-    }).on('error', () => {
-      resolve(false);
-    });
-  });
+  try {
+    const { statusCode } = await head(url);
+    return statusCode === 200;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Ordre des libellés de qualité quand la résolution n'est pas connue
+const QUALITY_RANKS = { hd: 2, sd: 1 };
+
+/**
+ * Décrit une variante vidéo: résolution et débit lus dans l'URL, taille via HEAD
+ * @param {Object} variant - Variante ({ url, quality })
+ * @returns {Promise<Object>} Variante décrite ({ url, quality, resolution, bitrate, size, available })
+ */
+async function probeVariant(variant) {
+  const encoding = getVideoEncoding(variant.url);
+  const described = {
+    url: variant.url,
+    quality: variant.quality || null,
+    resolution: encoding.resolution,
+    bitrate: encoding.bitrate,
+    size: null,
+    available: false
+  };
+
+  try {
+    const { statusCode, headers } = await head(variant.url);
+    described.available = statusCode === 200;
+    described.size = parseInt(headers['content-length'], 10) || null;
+  } catch (error) {
+    return described;
+  }
+
+  // Débit moyen estimé depuis la taille quand l'URL ne l'indique pas
+  if (!described.bitrate && described.size && encoding.durationSeconds) {
+    described.bitrate = Math.round(described.size * 8 / encoding.durationSeconds);
+  }
+  return described;
+}
+
+/**
+ * Classe des variantes selon une politique de choix (la première est retenue)
+ * - highest-resolution: résolution la plus haute (puis libellé hd/sd, puis taille)
+ * - smallest-size: fichier le plus léger
+ * - max-bitrate: débit le plus haut sans dépasser CONFIG.MAX_BITRATE; les
+ *   variantes au débit inconnu ou trop élevé suivent, de la plus légère à la plus lourde
+ * @param {Object[]} variants - Variantes décrites par probeVariant
+ * @param {string} policy - Politique de choix
+ * @returns {Object[]} Variantes classées
+ */
+function rankVariants(variants, policy = CONFIG.VARIANT_POLICY) {
+  const sizeOf = (variant) => variant.size || Number.MAX_SAFE_INTEGER;
+  const bySize = (a, b) => sizeOf(a) - sizeOf(b);
+
+  if (policy === 'smallest-size') {
+    return [...variants].sort(bySize);
+  }
+  if (policy === 'max-bitrate') {
+    const maxBitrate = CONFIG.MAX_BITRATE * 1000;
+    const withinLimit = variants.filter(v => v.bitrate && v.bitrate <= maxBitrate).sort((a, b) => b.bitrate - a.bitrate);
+    return withinLimit.concat(variants.filter(v => !withinLimit.includes(v)).sort(bySize));
+  }
+  return [...variants].sort((a, b) => ((b.resolution || 0) - (a.resolution || 0))
+    || ((QUALITY_RANKS[b.quality] || 0) - (QUALITY_RANKS[a.quality] || 0))
+    || ((b.size || 0) - (a.size || 0)));
+}
+
+/**
+ * Résume une variante pour les logs (ex: "hd 720p 4.21 MB")
+ * @param {Object} variant - Variante décrite
+ * @returns {string}
+ */
+function describeVariant(variant) {
+  return [
+    variant.quality,
+    variant.resolution && `${variant.resolution}p`,
+    variant.bitrate && `${Math.round(variant.bitrate / 1000)} kbit/s`,
+    variant.size && `${(variant.size / 1024 / 1024).toFixed(2)} MB`
+  ].filter(Boolean).join(' ') || 'variante inconnue';
+}
+
+/**
+ * Choisit la variante à télécharger parmi celles relevées par le scraper
+ * Les variantes expirées (paramètre oe) sont écartées avant toute requête.
+ * @param {string} url - URL de la vidéo
+ * @param {Object} mediaIndex - Médiathèque (provenance et variantes connues)
+ * @returns {Promise<Object>} { url, chosen, alternatives } (chosen null sans alternative)
+ */
+async function selectVideoVariant(url, mediaIndex) {
+  const source = mediaIndex.getSource(url);
+  const variants = (source && source.variants) || [];
+  if (variants.length < 2) {
+    return { url, chosen: null, alternatives: [] };
+  }
+
+  const expired = variants.filter(v => checkUrlExpiry(v.url).expired);
+  const described = await Promise.all(variants.filter(v => !expired.includes(v)).map(probeVariant));
+  const available = described.filter(v => v.available);
+  if (available.length === 0) {
+    return { url, chosen: null, alternatives: [] };
+  }
+
+  const [chosen, ...others] = rankVariants(available);
+  const alternatives = others
+    .concat(described.filter(v => !v.available))
+    .concat(expired.map(v => ({ url: v.url, quality: v.quality || null, available: false, expired: true })));
+  console.log(`🎚️ Variante retenue (${CONFIG.VARIANT_POLICY}): ${describeVariant(chosen)} parmi ${available.length} disponibles`);
+
+  return { url: chosen.url, chosen, alternatives };
 }
 
 /**
@@ -112,13 +389,67 @@ async function checkUrlValidity(url) {
  */
 async function processFacebookUrl(url, index) {
   const startTime = Date.now();
+  let unlock = () => {};
   
   try {
     console.log(`\n🔄 Traitement ${index + 1}: ${url.substring(0, 80)}...`);
     
+    // Vérifier si la vidéo est déjà dans la médiathèque (ce run ou un run précédent)
+    const mediaIndex = await loadMediaIndex();
+    unlock = await mediaIndex.lockAsset(url);
+    const known = await mediaIndex.findByAsset(url);
+    
+    if (known) {
+      console.log(`♻️ Déjà téléchargée: ${path.basename(known.path)}`);
+      return {
+        url: url,
+        index: index + 1,
+        success: true,
+        duplicate: true,
+        duplicateOf: known.firstUrl,
+        hash: known.hash,
+        filename: known.path,
+        fileSize: known.size,
+        metadata: known.metadata || null,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      };
+    }
+    
+    // Vidéo disponible en plusieurs qualités: choisir selon CONFIG.VARIANT_POLICY
+    const selection = await selectVideoVariant(url, mediaIndex);
+    
+    // Vérifier l'expiration de la signature (paramètre oe) avant toute requête
+    // Une URL expirée est d'abord renouvelée depuis l'annonce d'origine
+    const expiry = checkUrlExpiry(selection.url);
+    const source = createUrlRefresher(selection.url);
+    if (expiry.expired) {
+      console.log(`⌛ URL expirée depuis ${formatDelay(expiry.remainingMs)} (${expiry.expiresAt})`);
+      await source.refresh();
+    }
+    if (expiry.expired && !source.refreshed && FBCDN_CONFIG.SKIP_EXPIRED) {
+      console.log('⌛ URL ignorée');
+      return {
+        url: url,
+        index: index + 1,
+        success: false,
+        expired: true,
+        expiresAt: expiry.expiresAt,
+        error: `URL expirée le ${expiry.expiresAt}`,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      };
+    }
+    if (expiry.expiringSoon) {
+      console.log(`⏳ URL expirant dans ${formatDelay(expiry.remainingMs)}`);
+    }
+    
     // Vérifier si l'URL est encore valide
     console.log('🔍 Vérification de la validité...');
-    const isValid = await checkUrlValidity(url);
+    let isValid = await checkUrlValidity(source.url);
+    if (!isValid && await source.refresh()) {
+      isValid = await checkUrlValidity(source.url);
+    }
     
     if (!isValid) {
       return {
@@ -132,21 +463,57 @@ async function processFacebookUrl(url, index) {
     }
     
     // Créer le nom de fichier
-    const urlObj = new URL(url);
+    const urlObj = new URL(selection.url);
     const videoId = urlObj.pathname.split('/').pop().split('.')[0];
-    const extension = url.includes('.mp4') ? '.mp4' : '.video';
+    const extension = selection.url.includes('.mp4') ? '.mp4' : '.video';
     const filename = path.join(CONFIG.DOWNLOAD_FOLDER, `facebook_video_${index + 1}_${videoId}${extension}`);
     
     // Télécharger le fichier
     console.log('📥 Début du téléchargement...');
-    const downloadResult = await downloadFile(url, filename);
+    const downloadResult = await downloadFile(source.url, filename).catch(async (error) => {
+      // URL refusée pendant le téléchargement: nouvelle tentative avec une URL fraîche
+      if (!isAccessDenied(error) || !(await source.refresh())) throw error;
+      return downloadFile(source.url, filename);
+    });
+    
+    // Lire durée, résolution, codecs... depuis le conteneur MP4
+    let metadata = null;
+    try {
+      metadata = await readVideoMetadata(downloadResult.filename);
+      console.log(`🎞️ ${metadata.width}x${metadata.height} (${metadata.aspectRatio}), ${metadata.duration}s, ${metadata.videoCodecName}${metadata.hasAudio ? ' + audio' : ' sans audio'}`);
+    } catch (error) {
+      console.error(`⚠️ Métadonnées vidéo illisibles: ${error.message}`);
+    }
+    
+    // Ranger la vidéo dans la médiathèque selon le hash de son contenu
+    const stored = await mediaIndex.store(downloadResult.filename, {
+      url: url,
+      kind: 'videos',
+      size: downloadResult.size,
+      metadata: metadata
+    });
+    
+    if (stored.duplicate) {
+      console.log(`♻️ Contenu identique à: ${path.basename(stored.path)}`);
+    }
     
     return {
       url: url,
       index: index + 1,
       success: true,
-      filename: downloadResult.filename,
+      expiresAt: expiry.expiresAt,
+      resolvedUrl: source.refreshed ? source.url : null,
+      variant: selection.chosen,
+      alternatives: selection.alternatives,
+      variantPolicy: selection.chosen ? CONFIG.VARIANT_POLICY : null,
+      duplicate: stored.duplicate,
+      duplicateOf: stored.duplicate ? stored.entry.firstUrl : null,
+      hash: stored.entry.hash,
+      filename: stored.duplicate ? stored.path : downloadResult.filename,
+      libraryFile: stored.path,
       fileSize: downloadResult.size,
+      metadata: metadata,
+      resumed: downloadResult.resumed,
       duration: Date.now() - startTime,
       timestamp: new Date().toISOString()
     };
@@ -162,91 +529,164 @@ async function processFacebookUrl(url, index) {
       duration: Date.now() - startTime,
       timestamp: new Date().toISOString()
     };
+    
+  } finally {
+    unlock();
   }
 }
 
 /**
- * Traite un lot d'URLs en parallèle
- * @param {string[]} urlBatch - Lot d'URLs à traiter
- * @param {number} batchStartIndex - Index de début du lot
- * @returns {Promise<Object[]>} Résultats du lot
+ * Traite une URL de la file et enregistre son résultat dans le journal
+ * @param {number} index - Index de l'URL
+ * @param {string[]} urls - Toutes les URLs du job
+ * @param {Object} journal - Journal du job
+ * @returns {Promise<Object>} Résultat du traitement
  */
-async function processBatch(urlBatch, batchStartIndex) {
-  const promises = urlBatch.map((url, i) => 
-    processFacebookUrl(url, batchStartIndex + i)
-  );
-  return Promise.all(promises);
+async function processIndex(index, urls, journal) {
+  const result = await processFacebookUrl(urls[index], index);
+  await journal.record(index, result);
+  return result;
 }
 
 /**
  * Fonction principale de traitement des URLs Facebook
  * @param {string[]} urls - Tableau des URLs Facebook à traiter
+ * @param {Object} options - Options
+ * @param {boolean} options.fresh - Ignore le journal d'un job précédent
+ * @param {Function} options.onResult - Appelée avec chaque résultat dès qu'il est disponible (result, index)
  * @returns {Promise<Object>} Résultats complets
  */
-async function processFacebookUrls(urls) {
+async function processFacebookUrls(urls, options = {}) {
   console.log(`🚀 Démarrage du traitement de ${urls.length} URLs Facebook`);
-  console.log(`📊 Configuration: ${CONFIG.BATCH_SIZE} URLs en parallèle`);
+  console.log(`📊 Configuration: ${CONFIG.CONCURRENCY} URLs en parallèle (${CONFIG.PER_HOST_CONCURRENCY} par hôte, ${HTTP_CONFIG.RATE_LIMIT || '∞'} requêtes/s)`);
   console.log(`📁 Dossier de téléchargement: ${CONFIG.DOWNLOAD_FOLDER}`);
   
-  const results = [];
   const startTime = Date.now();
   
+  // Journal du job: les URLs déjà traitées avec succès sont reprises telles quelles
+  const journal = await openJobJournal('videos', urls, options);
+  const results = urls.map((url, index) => (journal.isDone(index) ? journal.getResult(index) : null));
+  // Les URLs qui expirent le plus tôt sont téléchargées en premier
+  const pending = sortIndexesByExpiry(
+    urls.map((url, index) => index).filter(index => !journal.isDone(index)),
+    urls
+  );
+  
+  // Les résultats repris du journal sont transmis d'emblée
+  if (options.onResult) {
+    for (const [index, result] of results.entries()) {
+      if (result) await options.onResult(result, index);
+    }
+  }
+  
   try {
     // Créer le dossier de téléchargement
     await fs.mkdir(CONFIG.DOWNLOAD_FOLDER, { recursive: true });
     console.log(`📁 Dossier créé: ${CONFIG.DOWNLOAD_FOLDER}`);
     
-    // Traitement par lots
-    for (let i = 0; i < urls.length; i += CONFIG.BATCH_SIZE) {
-      const batch = urls.slice(i, i + CONFIG.BATCH_SIZE);
-      const batchNumber = Math.floor(i / CONFIG.BATCH_SIZE) + 1;
-      const totalBatches = Math.ceil(urls.length / CONFIG.BATCH_SIZE);
-      
-      console.log(`\n📦 === LOT ${batchNumber}/${totalBatches} (${batch.length} URLs) ===`);
-      
-      const batchResults = await processBatch(batch, i);
-      results.push(...batchResults);
-      
-      // Pause entre les lots
-      if (i + CONFIG.BATCH_SIZE < urls.length) {
-        console.log('\n⏸️ Pause de 3 secondes entre les lots...');
-        await new Promise(resolve => setTimeout(resolve, 3000));
-      }
-    }
+    // File de tâches: chaque URL terminée libère aussitôt sa place pour la suivante
+    // (le débit est limité par requête dans http-client, pour tous les téléchargements)
+    const queue = createTaskQueue({
+      concurrency: CONFIG.CONCURRENCY,
+      perHost: CONFIG.PER_HOST_CONCURRENCY
+    });
+    queue.on('progress', logProgress('vidéos'));
+    
+    await Promise.all(pending.map(index => queue.push(async () => {
+      results[index] = await processIndex(index, urls, journal);
+      if (options.onResult) await options.onResult(results[index], index);
+    }, { host: getHost(urls[index]) })));
     
   } catch (error) {
     console.error('💥 Erreur critique:', error);
     throw error;
+    
+  } finally {
+    await closeResolver();
   }
   
+  // Job complet: le journal ne sert plus (seul un job interrompu reprend)
+  const finished = await journal.finish();
+  
   const endTime = Date.now();
   const duration = Math.round((endTime - startTime) / 1000);
   
   // Statistiques
   const successful = results.filter(r => r.success).length;
   const failed = results.filter(r => !r.success).length;
-  const totalSize = results.reduce((sum, r) => sum + (r.fileSize || 0), 0);
+  const duplicates = results.filter(r => r.duplicate).length;
+  const expired = results.filter(r => r.expired).length;
+  const withVariants = results.filter(r => r.variant).length;
+  // Vidéos téléchargées sans choix possible (URL hors scraping ou variante unique)
+  const withoutVariants = results.filter(r => r.success && !r.duplicate && !r.variant).length;
+  const totalSize = results.filter(r => !r.duplicate).reduce((sum, r) => sum + (r.fileSize || 0), 0);
+  
+  // Statistiques vidéo (durée, formats, codecs, audio)
+  const withMetadata = results.filter(r => r.success && r.metadata);
+  const totalVideoDuration = withMetadata.reduce((sum, r) => sum + (r.metadata.duration || 0), 0);
+  const aspectRatioStats = {};
+  const codecStats = {};
+  withMetadata.forEach(r => {
+    const ratio = r.metadata.aspectRatio || 'inconnu';
+    const codec = r.metadata.videoCodecName || 'inconnu';
+    aspectRatioStats[ratio] = (aspectRatioStats[ratio] || 0) + 1;
+    codecStats[codec] = (codecStats[codec] || 0) + 1;
+  });
+  const withAudio = withMetadata.filter(r => r.metadata.hasAudio).length;
+  const averageDuration = withMetadata.length > 0 ? Math.round(totalVideoDuration / withMetadata.length * 10) / 10 : 0;
   
   console.log('\n' + '='.repeat(50));
   console.log('📈 RÉSULTATS FINAUX:');
   console.log(`✅ Téléchargements réussis: ${successful}/${urls.length}`);
   console.log(`❌ Échecs: ${failed}/${urls.length}`);
+  console.log(`♻️ Doublons (non retéléchargés): ${duplicates}`);
+  console.log(`⌛ URLs expirées: ${expired}`);
+  console.log(`🎚️ Variantes choisies (${CONFIG.VARIANT_POLICY}): ${withVariants}`);
+  if (withoutVariants > 0) {
+    console.log(`🎚️ Politique non appliquée faute de variantes connues: ${withoutVariants} vidéos téléchargées telles quelles`);
+  }
   console.log(`💾 Taille totale téléchargée: ${(totalSize / 1024 / 1024).toFixed(2)} MB`);
   console.log(`⏱️ Durée totale: ${duration}s`);
+  if (withMetadata.length > 0) {
+    console.log(`🎞️ Durée moyenne des vidéos: ${averageDuration}s`);
+    console.log(`📐 Formats: ${Object.entries(aspectRatioStats).map(([ratio, count]) => `${ratio}: ${count}`).join(', ')}`);
+    console.log(`🔊 Avec audio: ${withAudio}/${withMetadata.length}`);
+  }
   console.log('='.repeat(50));
   
-  return {
+  const output = {
     summary: {
       totalUrls: urls.length,
       successful,
       failed,
+      duplicates,
+      expired,
+      variantPolicy: CONFIG.VARIANT_POLICY,
+      withVariants,
+      withoutVariants,
       totalSizeMB: Math.round(totalSize / 1024 / 1024 * 100) / 100,
       duration: `${duration}s`,
       downloadFolder: CONFIG.DOWNLOAD_FOLDER,
+      videoStats: {
+        analyzed: withMetadata.length,
+        totalDurationSeconds: Math.round(totalVideoDuration * 10) / 10,
+        averageDurationSeconds: averageDuration,
+        withAudio: withAudio,
+        aspectRatios: aspectRatioStats,
+        codecs: codecStats
+      },
+      job: {
+        id: journal.id,
+        journal: finished ? null : journal.file,
+        resumed: journal.completed
+      },
       timestamp: new Date().toISOString()
     },
     results: results
   };
+  
+  output.summary.notifications = await notify('videos', output);
+  return output;
 }
 
 /**
@@ -294,8 +734,11 @@ async function main() {
     results.results.forEach(result => {
       console.log(`\n${result.success ? '✅' : '❌'} URL ${result.index}:`);
       if (result.success) {
-        console.log(`   📁 Fichier: ${path.basename(result.filename)}`);
+        console.log(`   📁 Fichier: ${path.basename(result.filename)}${result.duplicate ? ' (doublon)' : ''}`);
         console.log(`   💾 Taille: ${(result.fileSize / 1024 / 1024).toFixed(2)} MB`);
+        if (result.metadata) {
+          console.log(`   📐 ${result.metadata.width}x${result.metadata.height} (${result.metadata.aspectRatio}), ${result.metadata.duration}s, ${result.metadata.frameRate} fps`);
+        }
       } else {
         console.log(`   ❌ Erreur: ${result.error}`);
       }
@@ -0,0 +1,317 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { scrapeCreativeUrls, CONFIG: SCRAPER_CONFIG } = require('./app');
+const { processFacebookImages } = require('./image');
+const { processFacebookUrls } = require('./video');
+const { loadMediaIndex, getAssetKey } = require('./media-index');
+
+// ============= CONFIGURATION =============
+const CONFIG = {
+  // Planification au format cron: minute heure jour-du-mois mois jour-de-semaine
+  SCHEDULE: '0 7 * * *',
+
+  // Lancer un premier passage dès le démarrage, sans attendre la planification
+  RUN_ON_START: true,
+
+  // Dossier des résultats de chaque passage
+  OUTPUT_FOLDER: './watch',
+
+  // Télécharger les nouvelles créatives trouvées
+  DOWNLOAD_IMAGES: true,
+  DOWNLOAD_VIDEOS: true,
+
+  // Attente maximale d'un timer (setTimeout est limité à ~24,8 jours)
+  MAX_TIMER_DELAY: 60 * 60 * 1000
+};
+
+// Bornes des champs cron: minute, heure, jour du mois, mois, jour de semaine (0 ou 7 = dimanche)
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'heure', min: 0, max: 23 },
+  { name: 'jour du mois', min: 1, max: 31 },
+  { name: 'mois', min: 1, max: 12 },
+  { name: 'jour de semaine', min: 0, max: 7 }
+];
+
+/**
+ * Analyse un champ cron (*, 5, 1-5, *\/15, 1-10/2, listes séparées par des virgules)
+ * @param {string} field - Champ à analyser
+ * @param {Object} bounds - { name, min, max }
+ * @returns {Set<number>} Valeurs acceptées
+ */
+function parseCronField(field, bounds) {
+  const values = new Set();
+
+  field.split(',').forEach(part => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Planification invalide (${bounds.name}): ${part}`);
+
+    const start = match[1] === '*' ? bounds.min : parseInt(match[2], 10);
+    const end = match[1] === '*' ? bounds.max : (match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? bounds.max : start));
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    if (start < bounds.min || end > bounds.max || start > end || step < 1) {
+      throw new Error(`Planification invalide (${bounds.name}): ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+
+  return values;
+}
+
+/**
+ * Analyse une expression cron à 5 champs
+ * @param {string} expression - Expression (ex: "0 7 * * 1-5")
+ * @returns {Object} Valeurs acceptées par champ
+ */
+function parseSchedule(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Planification invalide (5 champs attendus): ${expression}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    expression,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Comme cron: si jour du mois et jour de semaine sont restreints, l'un ou l'autre suffit
+    anyDay: fields[2] === '*' || fields[4] === '*'
+  };
+}
+
+/**
+ * Calcule le prochain déclenchement d'une planification (heure locale)
+ * @param {Object} schedule - Planification (voir parseSchedule)
+ * @param {Date} from - Instant de référence (exclu)
+ * @returns {Date} Prochain déclenchement
+ */
+function getNextRun(schedule, from = new Date()) {
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const dayMatches = () => {
+    const byDay = schedule.days.has(date.getDate());
+    const byWeekday = schedule.weekdays.has(date.getDay());
+    return schedule.anyDay ? byDay && byWeekday : byDay || byWeekday;
+  };
+
+  // Au plus 5 ans de recherche (ex: "0 0 30 2 *" ne se déclenche jamais)
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!dayMatches()) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`La planification ne se déclenche jamais: ${schedule.expression}`);
+}
+
+/**
+ * Liste les créatives des annonces qui ne sont pas encore dans la médiathèque
+ * « Nouvelle » signifie « pas encore téléchargée », et non « jamais vue »: une
+ * créative dont le téléchargement a échoué est retentée au passage suivant.
+ * @param {Object[]} results - Résultats de scraping
+ * @param {Object} mediaIndex - Médiathèque (voir loadMediaIndex)
+ * @returns {Promise<Object>} URLs des nouvelles images et vidéos
+ */
+async function collectNewCreatives(results, mediaIndex) {
+  const creatives = { images: [], videos: [] };
+  const seen = new Set();
+
+  for (const result of results.filter(r => r && r.success)) {
+    for (const ad of result.ads) {
+      for (const item of ad.media.filter(media => /^https?:/.test(media.url))) {
+        const key = getAssetKey(item.url);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (await mediaIndex.hasAsset(item.url)) continue;
+        (item.type === 'video' ? creatives.videos : creatives.images).push(item.url);
+      }
+    }
+  }
+
+  return creatives;
+}
+
+/**
+ * Exécute un passage de veille: scraping des recherches puis téléchargement des nouvelles créatives
+ * @param {string[]} urls - URLs des recherches Ad Library
+ * @returns {Promise<Object>} Résumé du passage
+ */
+async function runWatchCycle(urls) {
+  const startedAt = new Date().toISOString();
+
+  // Chaque passage scrape à nouveau: le journal d'un passage précédent (gardé
+  // après un échec) rejouerait ses résultats au lieu de détecter les nouveautés
+  const scraping = await scrapeCreativeUrls(urls, { fresh: true });
+  const creatives = await collectNewCreatives(scraping.results, await loadMediaIndex());
+  console.log(`\n🆕 Nouvelles créatives: ${creatives.images.length} images, ${creatives.videos.length} vidéos`);
+
+  const images = CONFIG.DOWNLOAD_IMAGES && creatives.images.length > 0
+    ? await processFacebookImages(creatives.images)
+    : null;
+  const videos = CONFIG.DOWNLOAD_VIDEOS && creatives.videos.length > 0
+    ? await processFacebookUrls(creatives.videos)
+    : null;
+
+  const run = {
+    summary: {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      queries: urls.length,
+      totalAds: scraping.summary.totalAds,
+      newImages: creatives.images.length,
+      newVideos: creatives.videos.length
+    },
+    scraping,
+    newCreatives: creatives,
+    images,
+    videos
+  };
+
+  await fs.mkdir(CONFIG.OUTPUT_FOLDER, { recursive: true });
+  const filepath = path.join(CONFIG.OUTPUT_FOLDER, `watch_${startedAt.replace(/[:.]/g, '-')}.json`);
+  await fs.writeFile(filepath, JSON.stringify(run, null, 2), 'utf8');
+  console.log(`💾 Passage enregistré: ${filepath}`);
+
+  return run;
+}
+
+/**
+ * Démarre la veille: relance les recherches selon la planification jusqu'à l'arrêt
+ * Un déclenchement qui survient pendant un passage est ignoré. Au premier
+ * SIGINT/SIGTERM, plus aucun passage n'est lancé et le passage en cours se
+ * termine normalement; un second signal arrête le processus immédiatement.
+ * @param {Object} options - Options
+ * @param {Function} options.loadUrls - Fonction (async) renvoyant les URLs à surveiller (relue à chaque passage)
+ * @param {string} options.schedule - Expression cron (défaut: CONFIG.SCHEDULE)
+ * @param {boolean} options.runOnStart - Premier passage immédiat (défaut: CONFIG.RUN_ON_START)
+ * @returns {Object} { stop(), done } où done se résout à l'arrêt de la veille
+ */
+function startWatch(options) {
+  const schedule = parseSchedule(options.schedule || CONFIG.SCHEDULE);
+  const runOnStart = options.runOnStart !== undefined ? options.runOnStart : CONFIG.RUN_ON_START;
+  const stats = { runs: 0, failed: 0, skipped: 0 };
+
+  let timer = null;
+  let running = null;
+  let stopping = false;
+  let resolveDone;
+  const done = new Promise(resolve => { resolveDone = resolve; });
+
+  // Le navigateur ne doit pas se fermer de lui-même au signal: le passage en cours se termine
+  Object.assign(SCRAPER_CONFIG.BROWSER_OPTIONS, { handleSIGINT: false, handleSIGTERM: false, handleSIGHUP: false });
+
+  const runCycle = async () => {
+    // Le déclenchement suivant est planifié dès maintenant: un passage long ne décale pas la planification
+    if (!stopping) planNext();
+    if (running) {
+      stats.skipped++;
+      console.log('⏭️ Passage précédent encore en cours, déclenchement ignoré');
+      return;
+    }
+
+    running = (async () => {
+      stats.runs++;
+      console.log(`\n👀 === VEILLE: PASSAGE ${stats.runs} (${new Date().toLocaleString()}) ===\n`);
+      try {
+        const urls = await options.loadUrls();
+        if (urls.length === 0) {
+          console.log('⚠️ Aucune recherche à surveiller');
+          return;
+        }
+        await runWatchCycle(urls);
+      } catch (error) {
+        stats.failed++;
+        console.error('💥 Passage de veille en échec:', error.message);
+      }
+    })();
+
+    await running;
+    running = null;
+  };
+
+  const planNext = () => {
+    const next = getNextRun(schedule);
+    console.log(`⏰ Prochain passage: ${next.toLocaleString()} (${schedule.expression})`);
+
+    const wait = () => {
+      const delay = next.getTime() - Date.now();
+      if (delay > CONFIG.MAX_TIMER_DELAY) {
+        timer = setTimeout(wait, CONFIG.MAX_TIMER_DELAY);
+      } else {
+        timer = setTimeout(() => {
+          timer = null;
+          runCycle();
+        }, Math.max(0, delay));
+      }
+    };
+    wait();
+  };
+
+  const stop = async () => {
+    if (stopping) return done;
+    stopping = true;
+    clearTimeout(timer);
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+
+    if (running) {
+      console.log('🛑 Arrêt demandé: fin du passage en cours... (Ctrl+C à nouveau pour forcer)');
+      process.once('SIGINT', forceExit);
+      process.once('SIGTERM', forceExit);
+      await running;
+    }
+
+    console.log(`🛑 Veille arrêtée (${stats.runs} passages, ${stats.failed} en échec, ${stats.skipped} ignorés)`);
+    process.removeListener('SIGINT', forceExit);
+    process.removeListener('SIGTERM', forceExit);
+    resolveDone(stats);
+    return done;
+  };
+
+  const onSignal = (signal) => {
+    console.log(`\n📴 Signal ${signal} reçu`);
+    stop();
+  };
+  const forceExit = () => {
+    console.error('💥 Arrêt forcé');
+    process.exit(130);
+  };
+
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  console.log(`👀 Veille démarrée (${schedule.expression})`);
+  if (runOnStart) runCycle();
+  else planNext();
+
+  return { stop, done };
+}
+
+// Exportation des fonctions pour utilisation modulaire
+module.exports = {
+  startWatch,
+  runWatchCycle,
+  parseSchedule,
+  getNextRun,
+  collectNewCreatives,
+  CONFIG
+};